@@ -0,0 +1,674 @@
+// Helpers of the report server that need neither the database nor the web server,
+// kept here so they can be tested on their own
+
+const mongoose = require('mongoose');
+const { booleanPointInPolygon } = require('@turf/boolean-point-in-polygon');
+
+// Build an error that the report routes answer with 400 Bad Request
+const badRequest = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+// ===== Accounts =====
+
+// Roles and the actions each one may perform on reports and accounts
+const ROLE_PERMISSIONS = {
+    reporter: [],
+    staff: ['reports:edit'],
+    facilities_manager: ['reports:edit', 'reports:resolve', 'reports:assign', 'reports:import'],
+    admin: ['reports:edit', 'reports:resolve', 'reports:assign', 'reports:import', 'reports:delete', 'users:manage', 'system:manage']
+};
+
+// Whether a user's role allows an action
+const hasPermission = (user, permission) => {
+    return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+// ===== Report history =====
+
+// Report fields whose changes are recorded in the history
+const TRACKED_REPORT_FIELDS = ['type', 'issueCategory', 'time', 'status', 'description', 'urgency', 'photos', 'visibility'];
+
+// Compare two snapshots of a report and list the tracked fields that changed
+const diffReportFields = (before, after, fields = TRACKED_REPORT_FIELDS) => {
+    const normalize = (value) => {
+        if (value instanceof Date) return value.toISOString();
+        // Photo lists are recorded by their storage keys
+        if (Array.isArray(value)) return value.map(item => item.key);
+        return value === undefined ? null : value;
+    };
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    return fields
+        .filter(field => !same(normalize(before[field]), normalize(after[field])))
+        .map(field => ({ field, from: normalize(before[field]), to: normalize(after[field]) }));
+};
+
+// Append an entry to a report's history through the Report model, without touching earlier entries
+const recordHistory = (model, reportId, entry) => {
+    return model.updateOne({ _id: reportId }, { $push: { history: entry } });
+};
+
+// ===== Report listing =====
+
+// Fields GET /reports can sort by; the report id breaks ties so cursors stay stable
+const REPORT_SORT_FIELDS = { time: 'date', confirmations: 'number', _id: 'id' };
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+
+// Parse sort=<field> or sort=-<field> (descending) into a sort field and direction
+const parseReportSort = (value) => {
+    const sortParam = value || '-time';
+    const descending = sortParam.startsWith('-');
+    const field = descending ? sortParam.slice(1) : sortParam;
+    if (!REPORT_SORT_FIELDS[field]) {
+        throw badRequest(`Cannot sort by "${field}". Allowed: ${Object.keys(REPORT_SORT_FIELDS).join(', ')}`);
+    }
+    return { field, direction: descending ? -1 : 1 };
+};
+
+// Cursors are opaque to clients: the sort value and id of the last report on the previous page
+const encodeCursor = (report, sort) => {
+    const value = report[sort.field];
+    return Buffer.from(JSON.stringify({
+        v: value instanceof Date ? value.toISOString() : value,
+        id: String(report._id)
+    })).toString('base64url');
+};
+
+// Build the condition that selects reports after the cursor in the current sort order
+const cursorCondition = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw badRequest('Invalid cursor');
+    }
+    if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+        throw badRequest('Invalid cursor');
+    }
+
+    const op = sort.direction === -1 ? '$lt' : '$gt';
+    const id = new mongoose.Types.ObjectId(decoded.id);
+    if (sort.field === '_id') {
+        return { _id: { [op]: id } };
+    }
+
+    const value = REPORT_SORT_FIELDS[sort.field] === 'date' ? new Date(decoded.v) : decoded.v;
+    const validValue = REPORT_SORT_FIELDS[sort.field] === 'date'
+        ? typeof decoded.v === 'string' && !isNaN(value.getTime())
+        : Number.isFinite(value);
+    if (!validValue) {
+        throw badRequest('Invalid cursor');
+    }
+    return {
+        $or: [
+            { [sort.field]: { [op]: value } },
+            { [sort.field]: value, _id: { [op]: id } }
+        ]
+    };
+};
+
+// Parse the limit query parameter of the report listing routes
+const parseLimit = (value) => {
+    const limit = value === undefined ? DEFAULT_PAGE_SIZE : parseInt(value, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw badRequest(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+};
+
+// ===== Campus zones =====
+
+// Zone kinds, most specific first; a report is tagged with the most specific zone containing it
+const ZONE_KIND_PRIORITY = ['building', 'campus'];
+
+// Read the zones from the campus region GeoJSON: one zone per Polygon or MultiPolygon feature
+const parseCampusZones = (data) => {
+    const features = (data.features || []).filter(feature =>
+        feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type));
+
+    if (features.length === 0) {
+        throw new Error('No Polygon or MultiPolygon features found');
+    }
+
+    const zones = features.map((feature, index) => {
+        const props = feature.properties || {};
+        return {
+            id: String(props.zoneId || feature.id || `zone-${index + 1}`),
+            name: props.name || `Zone ${index + 1}`,
+            kind: props.kind || 'campus',
+            parent: props.parent || null,
+            feature
+        };
+    });
+
+    const ids = zones.map(zone => zone.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        throw new Error(`Duplicate zoneId "${duplicate}"`);
+    }
+    return zones;
+};
+
+// Find the most specific zone containing a point, or null when it is off campus
+const findZone = (zones, lat, lng) => {
+    if (!zones) return null;
+
+    const rank = (zone) => {
+        const index = ZONE_KIND_PRIORITY.indexOf(zone.kind);
+        return index === -1 ? ZONE_KIND_PRIORITY.length : index;
+    };
+
+    const matches = zones
+        .filter(zone => booleanPointInPolygon([lng, lat], zone.feature))
+        .sort((a, b) => rank(a) - rank(b));
+    return matches[0] || null;
+};
+
+// Check whether a point lies inside any campus zone. Without a region nothing can be rejected.
+const isInsideCampus = (zones, lat, lng) => {
+    if (!zones) {
+        console.warn('Campus region not loaded; skipping boundary check');
+        return true;
+    }
+    return !!findZone(zones, lat, lng);
+};
+
+// Expand zone ids with every zone nested below them, so filtering by a campus includes its buildings
+const expandZoneIds = (zones, ids) => {
+    const expanded = new Set(ids);
+    let added = true;
+    while (added && zones) {
+        added = false;
+        zones.forEach(zone => {
+            if (zone.parent && expanded.has(zone.parent) && !expanded.has(zone.id)) {
+                expanded.add(zone.id);
+                added = true;
+            }
+        });
+    }
+    return [...expanded];
+};
+
+// ===== Report payload validation =====
+
+// Report types with their own marker color and upload folder; anything else counts as "Other"
+const STANDARD_REPORT_TYPES = ['Road', 'Accessible Ramp', 'Street Light'];
+const URGENCY_LEVELS = ['Low', 'Medium', 'High'];
+
+// Issue sub-types a reporter can pick for each report type; custom types use the "Other" list
+const ISSUE_CATEGORIES = {
+    'Road': [
+        'Uneven surface',
+        'Slippery pavement',
+        'Narrow width',
+        'Insufficient accessibility features',
+        'Prone to water accumulation',
+        'Others (please specify in the Description)'
+    ],
+    'Accessible Ramp': [
+        'Uneven surface',
+        'Slippery pavement',
+        'Narrow width',
+        'Excessively steep slope',
+        'Prone to water accumulation',
+        'Others (please specify in the Description)'
+    ],
+    'Street Light': [
+        'Not working (malfunction/offline)',
+        'Dim lighting',
+        'Flickering light',
+        'Others (please specify in the Description)'
+    ],
+    'Other': ['Please specify in the Description']
+};
+
+// Workflow states a report moves through, from submission to closure
+const REPORT_STATUSES = ['Pending', 'Acknowledged', 'In Progress', 'Resolved', 'Rejected'];
+
+// Who can see a report: everyone, or only staff (e.g. reports with personal details in photos)
+const REPORT_VISIBILITIES = ['public', 'staff'];
+
+// How far ahead of the server clock a report time may be, to allow for clock skew
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+// Rules for each field a client may send when creating or updating a report.
+// `check` receives the coerced value, the full set of values after the change and the validation options,
+// and returns an error message or null.
+const REPORT_FIELD_RULES = {
+    lat: { type: 'number', required: true, min: -90, max: 90, createOnly: true },
+    lng: { type: 'number', required: true, min: -180, max: 180, createOnly: true },
+    type: { type: 'string', required: true, maxLength: 50 },
+    issueCategory: {
+        type: 'string',
+        required: true,
+        check: (value, report) => {
+            const allowed = ISSUE_CATEGORIES[STANDARD_REPORT_TYPES.includes(report.type) ? report.type : 'Other'];
+            return allowed.includes(value) ? null : `Issue must be one of: ${allowed.join(', ')}`;
+        }
+    },
+    time: {
+        type: 'date',
+        required: true,
+        check: (value, report, { maxAgeDays }) => {
+            if (value.getTime() > Date.now() + MAX_FUTURE_SKEW_MS) {
+                return 'Time cannot be in the future';
+            }
+            if (maxAgeDays && value.getTime() < Date.now() - maxAgeDays * 24 * 60 * 60 * 1000) {
+                return `Time cannot be more than ${maxAgeDays} days ago`;
+            }
+            return null;
+        }
+    },
+    description: { type: 'string', maxLength: 1000 },
+    urgency: { type: 'string', required: true, enum: URGENCY_LEVELS },
+    status: { type: 'string', enum: REPORT_STATUSES, updateOnly: true },
+    visibility: { type: 'string', enum: REPORT_VISIBILITIES, updateOnly: true }
+};
+
+// Convert a raw form value to the rule's type, or return undefined when it cannot be converted
+const coerceField = (raw, type) => {
+    if (type === 'number') {
+        const number = typeof raw === 'number' ? raw : parseFloat(raw);
+        return Number.isFinite(number) ? number : undefined;
+    }
+    if (type === 'date') {
+        const date = new Date(raw);
+        return isNaN(date.getTime()) ? undefined : date;
+    }
+    return typeof raw === 'string' ? raw.trim() : undefined;
+};
+
+// Validate a report payload against REPORT_FIELD_RULES.
+// With `partial` (updates) only the fields present are checked, against the existing report for cross-field rules.
+// New reports are checked against the campus `zones`, and their time against `maxAgeDays` when given.
+// Returns the coerced values and a map of field name to error message.
+const validateReportPayload = (body, { partial = false, existing = {}, zones = null, maxAgeDays = null } = {}) => {
+    const values = {};
+    const errors = {};
+    const fields = Object.keys(REPORT_FIELD_RULES).filter(field => {
+        const rule = REPORT_FIELD_RULES[field];
+        return partial ? !rule.createOnly : !rule.updateOnly;
+    });
+
+    fields.forEach(field => {
+        const rule = REPORT_FIELD_RULES[field];
+        const raw = body[field];
+        const missing = raw === undefined || raw === null || raw === '';
+
+        if (missing) {
+            if (rule.required && !partial) {
+                errors[field] = `${field} is required`;
+            } else if (!rule.required && raw === '') {
+                values[field] = '';
+            }
+            return;
+        }
+
+        const value = coerceField(raw, rule.type);
+        if (value === undefined) {
+            errors[field] = `${field} must be a valid ${rule.type}`;
+        } else if (rule.type === 'string' && rule.required && value === '') {
+            errors[field] = `${field} is required`;
+        } else if (rule.min !== undefined && value < rule.min) {
+            errors[field] = `${field} must be at least ${rule.min}`;
+        } else if (rule.max !== undefined && value > rule.max) {
+            errors[field] = `${field} must be at most ${rule.max}`;
+        } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors[field] = `${field} must be at most ${rule.maxLength} characters`;
+        } else if (rule.enum && !rule.enum.includes(value)) {
+            errors[field] = `${field} must be one of: ${rule.enum.join(', ')}`;
+        } else {
+            values[field] = value;
+        }
+    });
+
+    // Cross-field checks run against the report as it would look after the change
+    const merged = { ...existing, ...values };
+    fields.forEach(field => {
+        const rule = REPORT_FIELD_RULES[field];
+        if (!rule.check || errors[field] || values[field] === undefined) return;
+        const message = rule.check(values[field], merged, { maxAgeDays });
+        if (message) {
+            errors[field] = message;
+            delete values[field];
+        }
+    });
+
+    // New reports must lie inside the campus region
+    if (!partial && values.lat !== undefined && values.lng !== undefined &&
+        !isInsideCampus(zones, values.lat, values.lng)) {
+        errors.location = 'Location is outside the NCKU campus area';
+    }
+
+    // A type change makes the existing issue category invalid unless a new one is sent
+    if (partial && values.type !== undefined && values.issueCategory === undefined && !errors.type) {
+        const message = REPORT_FIELD_RULES.issueCategory.check(merged.issueCategory || '', merged, {});
+        if (message) errors.issueCategory = message;
+    }
+
+    return { values, errors };
+};
+
+// ===== Service targets =====
+
+// Targets for a report type and urgency from the loaded SLA targets; type-specific values override the urgency defaults
+const slaTargetFor = (targets, type, urgency) => {
+    const base = targets.urgency[urgency] || targets.urgency.Low;
+    const override = (targets.types[type] || {})[urgency] || {};
+    return { ...base, ...override };
+};
+
+// When a report was submitted; reports saved before submittedAt existed fall back to the
+// creation time in their id
+const submissionTime = (report) => report.submittedAt || report._id.getTimestamp();
+
+// Deadlines of a report, counted from its submission
+const slaDeadlinesFor = (report, targets) => {
+    const submittedAt = submissionTime(report).getTime();
+    const target = slaTargetFor(targets, report.type, report.urgency);
+    return {
+        acknowledgeDueAt: new Date(submittedAt + target.acknowledgeHours * 60 * 60 * 1000),
+        resolveDueAt: new Date(submittedAt + target.resolveHours * 60 * 60 * 1000)
+    };
+};
+
+// ===== Report tracking =====
+
+// Accept codes typed in lower case, with spaces or without the dash
+const normalizeTrackingCode = (value) => {
+    const chars = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return chars.length === 8 ? `${chars.slice(0, 4)}-${chars.slice(4)}` : null;
+};
+
+// ===== Report JSON =====
+
+// Stored report fields that never go out in report JSON: the reporter's tracking code and address,
+// and the comments and confirmations with their visitor hashes, which have their own routes
+const PRIVATE_REPORT_FIELDS = ['trackingCode', 'reporterEmail', 'comments', 'confirmedBy'];
+
+// Remove the private fields from a report's JSON. Needed wherever reports come from an aggregate,
+// which loads the fields the schema hides with select: false.
+const omitPrivateReportFields = (json) => {
+    PRIVATE_REPORT_FIELDS.forEach(field => delete json[field]);
+    return json;
+};
+
+// ===== Report export =====
+
+// Formats of GET /reports/export: content type and file extension
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml' }
+};
+
+// Columns of the export, in CSV order; GeoJSON properties and KML extended data use the same names
+const EXPORT_COLUMNS = [
+    'id', 'type', 'issueCategory', 'status', 'urgency', 'time', 'submittedAt', 'lat', 'lng',
+    'zoneId', 'zone', 'description', 'visibility', 'confirmations', 'commentCount',
+    'team', 'assigneeName', 'dueAt', 'acknowledgeDueAt', 'resolveDueAt', 'acknowledgedAt',
+    'resolvedAt', 'overdue', 'photos'
+];
+
+// Quote a CSV cell when needed. Text starting with =, +, - or @ is prefixed with a quote so
+// spreadsheets don't run a reporter's description as a formula.
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join(' ') : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Escape text for XML element content and attribute values
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// KML placemark colors (aabbggrr) by urgency, matching the staff map
+const KML_URGENCY_COLORS = { High: 'ff0000ff', Medium: 'ff00a5ff', Low: 'ff00ff00' };
+
+// Writers for each format: head, one report and tail. Records arrive one at a time so an
+// export of every report never has to fit in memory.
+const EXPORT_WRITERS = {
+    csv: {
+        // The byte order mark makes Excel read the file as UTF-8
+        head: () => '\uFEFF' + EXPORT_COLUMNS.join(',') + '\r\n',
+        record: (record) => EXPORT_COLUMNS.map(column => csvCell(record[column])).join(',') + '\r\n',
+        tail: () => ''
+    },
+    geojson: {
+        head: () => '{"type":"FeatureCollection","features":[\n',
+        record: (record, index) => {
+            const { lat, lng, ...properties } = record;
+            const feature = {
+                type: 'Feature',
+                id: record.id,
+                geometry: { type: 'Point', coordinates: [lng, lat] },
+                properties
+            };
+            return (index > 0 ? ',\n' : '') + JSON.stringify(feature);
+        },
+        tail: () => '\n]}\n'
+    },
+    kml: {
+        head: () => [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+            '<name>NCKU campus safety reports</name>',
+            ...Object.entries(KML_URGENCY_COLORS).map(([urgency, color]) =>
+                `<Style id="urgency-${urgency}"><IconStyle><color>${color}</color></IconStyle></Style>`),
+            ''
+        ].join('\n'),
+        record: (record) => {
+            const name = record.issueCategory ? `${record.type}: ${record.issueCategory}` : record.type;
+            const description = [
+                `Status: ${escapeXml(record.status)}`,
+                `Urgency: ${escapeXml(record.urgency)}`,
+                record.description && escapeXml(record.description),
+                ...record.photos.map((url, index) => `<a href="${escapeXml(url)}">Photo ${index + 1}</a>`)
+            ].filter(Boolean).join('<br>');
+            const data = EXPORT_COLUMNS
+                .filter(column => !['lat', 'lng', 'description'].includes(column))
+                .map(column => {
+                    const value = record[column];
+                    if (value === null || value === undefined) return '';
+                    const text = Array.isArray(value) ? value.join(' ') : String(value);
+                    return `<Data name="${column}"><value>${escapeXml(text)}</value></Data>`;
+                })
+                .join('');
+            return [
+                '<Placemark>',
+                `<name>${escapeXml(name)}</name>`,
+                `<description>${escapeXml(description)}</description>`,
+                record.time ? `<TimeStamp><when>${record.time}</when></TimeStamp>` : '',
+                KML_URGENCY_COLORS[record.urgency] ? `<styleUrl>#urgency-${record.urgency}</styleUrl>` : '',
+                `<ExtendedData>${data}</ExtendedData>`,
+                `<Point><coordinates>${record.lng},${record.lat}</coordinates></Point>`,
+                '</Placemark>'
+            ].filter(Boolean).join('\n') + '\n';
+        },
+        tail: () => '</Document>\n</kml>\n'
+    }
+};
+
+// ===== Report import =====
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw badRequest('The CSV file has an unclosed quote');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Read an uploaded CSV or GeoJSON file into { row, fields } records; row numbers are what
+// the survey team sees in their spreadsheet (CSV, counting the header) or the feature number
+const parseImportFile = (buffer, format, maxRows) => {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    let records;
+
+    if (format === 'csv') {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) throw badRequest('The CSV file is empty');
+        const columns = header.map(name => name.trim());
+        const missing = ['externalId', 'lat', 'lng'].filter(name => !columns.includes(name));
+        if (missing.length > 0) {
+            throw badRequest(`The CSV file is missing the column(s): ${missing.join(', ')}`);
+        }
+        records = rows
+            .map((cells, index) => ({ row: index + 2, cells }))
+            // Skip blank lines, including the one a trailing line break leaves
+            .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+            .map(({ row, cells }) => ({
+                row,
+                fields: Object.fromEntries(columns.map((name, i) => [name, cells[i] === undefined ? '' : cells[i]]))
+            }));
+    } else {
+        let geojson;
+        try {
+            geojson = JSON.parse(text);
+        } catch (err) {
+            throw badRequest(`The GeoJSON file is not valid JSON: ${err.message}`);
+        }
+        const features = geojson && geojson.type === 'Feature' ? [geojson] : geojson && geojson.features;
+        if (!Array.isArray(features)) {
+            throw badRequest('The GeoJSON file must hold a FeatureCollection or a Feature');
+        }
+        records = features.map((feature, index) => {
+            const geometry = feature && feature.geometry;
+            const properties = (feature && feature.properties) || {};
+            const isPoint = geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates);
+            return {
+                row: index + 1,
+                fields: {
+                    ...properties,
+                    externalId: properties.externalId !== undefined ? properties.externalId : feature && feature.id,
+                    lng: isPoint ? geometry.coordinates[0] : undefined,
+                    lat: isPoint ? geometry.coordinates[1] : undefined
+                },
+                geometryError: isPoint ? null : 'Feature geometry must be a Point'
+            };
+        });
+    }
+
+    if (records.length === 0) throw badRequest('The file has no rows to import');
+    if (records.length > maxRows) {
+        throw badRequest(`The file has ${records.length} rows; at most ${maxRows} can be imported at once`);
+    }
+    return records;
+};
+
+// ===== Report statistics =====
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Median of a list of numbers, to one decimal place
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return Math.round(value * 10) / 10;
+};
+
+// Every week from the first to the last one with data, so charts show quiet weeks as zero.
+// Weeks are "YYYY-MM-DD" dates, stepped in UTC so that no day is ever 23 or 25 hours long.
+const weekRange = (weeks) => {
+    if (weeks.length === 0) return [];
+    const sorted = weeks.slice().sort();
+    const last = sorted[sorted.length - 1];
+    const date = new Date(`${sorted[0]}T00:00:00Z`);
+    const range = [];
+    for (let week = sorted[0]; week <= last; week = date.toISOString().slice(0, 10)) {
+        range.push(week);
+        date.setUTCDate(date.getUTCDate() + 7);
+    }
+    return range;
+};
+
+module.exports = {
+    badRequest,
+    ROLE_PERMISSIONS,
+    hasPermission,
+    TRACKED_REPORT_FIELDS,
+    diffReportFields,
+    recordHistory,
+    REPORT_SORT_FIELDS,
+    parseReportSort,
+    encodeCursor,
+    cursorCondition,
+    parseLimit,
+    ZONE_KIND_PRIORITY,
+    parseCampusZones,
+    findZone,
+    isInsideCampus,
+    expandZoneIds,
+    STANDARD_REPORT_TYPES,
+    URGENCY_LEVELS,
+    ISSUE_CATEGORIES,
+    REPORT_STATUSES,
+    REPORT_VISIBILITIES,
+    REPORT_FIELD_RULES,
+    validateReportPayload,
+    slaTargetFor,
+    submissionTime,
+    slaDeadlinesFor,
+    normalizeTrackingCode,
+    PRIVATE_REPORT_FIELDS,
+    omitPrivateReportFields,
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    csvCell,
+    escapeXml,
+    EXPORT_WRITERS,
+    parseCsv,
+    parseImportFile,
+    WEEK_MS,
+    median,
+    weekRange
+};
@@ -2,7 +2,8 @@
 var map; // Map instance
 var userMarker; // User location marker
 var reports = []; // Array to store report data
-var geoJsonPolygon; // Campus boundary polygon
+var campusZones = []; // Campus zone features (campuses and buildings)
+var zoneNames = {}; // Zone names by zone id
 var mapLoaded = false; // Flag to track if map is loaded
 var dataLoaded = false; // Flag to track if data is loaded
 var baseMaps; // Layer control variable
@@ -10,6 +11,24 @@ var API_URL = window.location.hostname === 'localhost'
     ? 'http://localhost:3002' 
     : window.location.origin; // This will use the same domain for API calls when deployed
 
+// Distance used to look for reports already filed near a new one
+var NEARBY_RADIUS_METERS = 50;
+
+// Maximum number of photos per report (matches the server's MAX_PHOTOS_PER_REPORT default)
+var MAX_PHOTOS = 5;
+
+var reportFormPopup; // Popup holding the new report form
+var openCommentsReportId = null; // Report whose comments are shown in its open popup
+
+// Longest public comment the server accepts
+var COMMENT_MAX_LENGTH = 500;
+
+// Outline styles for each kind of campus zone
+var zoneStyles = {
+    'campus': { color: '#420A15', weight: 2, fillColor: '#420A15', fillOpacity: 0.1 },
+    'building': { color: '#420A15', weight: 1, dashArray: '4', fillColor: '#420A15', fillOpacity: 0.2 }
+};
+
 // Marker colors for different types of reports
 var markerColors = {
     'Street Light': '#FF9800', // Orange for street lights (changed from orange-red to pure orange)
@@ -70,13 +89,36 @@ function hideLoginPopup() {
 }
 
 function login() {
-    var username = document.getElementById('username').value;
+    var username = document.getElementById('username').value.trim();
     var password = document.getElementById('password').value;
-    if (username === 'admin' && password === 'password') {
-        window.location.href = 'staff_management.html';
-    } else {
-        alert('Invalid credentials');
+    if (!username || !password) {
+        alert('Please enter your username and password');
+        return;
     }
+
+    fetch(`${API_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    })
+    .then(response => {
+        if (response.status === 401) {
+            throw new Error('Invalid credentials');
+        }
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+        }
+        return response.json();
+    })
+    .then(data => {
+        // Keep the session token for the staff management page
+        localStorage.setItem('staffToken', data.token);
+        window.location.href = 'staff_management.html';
+    })
+    .catch(error => {
+        console.error('Error logging in:', error);
+        alert(error.message);
+    });
 }
 
 // =============== MAP INITIALIZATION ===============
@@ -219,11 +261,12 @@ function loadCampusBoundary() {
             .then(data => {
                 console.log('GeoJSON data loaded successfully:', data);
                 const geoJsonLayer = L.geoJSON(data, {
-                    style: {
-                        color: '#420A15', // Dark red outline
-                        weight: 2,
-                        fillColor: '#420A15', // Fill with same color
-                        fillOpacity: 0.1 // 10% opacity
+                    // Style each zone by its kind, campuses first and buildings on top
+                    style: feature => zoneStyles[(feature.properties || {}).kind] || zoneStyles.campus,
+                    onEachFeature: (feature, layer) => {
+                        if (feature.properties && feature.properties.name) {
+                            layer.bindTooltip(feature.properties.name, { sticky: true });
+                        }
                     }
                 }).addTo(map);
 
@@ -233,8 +276,13 @@ function loadCampusBoundary() {
                 // Adjust the map view to fit the GeoJSON layer
                 map.fitBounds(geoJsonLayer.getBounds());
 
-                // Store the GeoJSON polygon for precise point-in-polygon checks
-                geoJsonPolygon = data.features[0].geometry;
+                // Store the zones for precise point-in-polygon checks and popup labels
+                campusZones = data.features.filter(feature =>
+                    feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type));
+                campusZones.forEach(feature => {
+                    const props = feature.properties || {};
+                    if (props.zoneId) zoneNames[props.zoneId] = props.name || props.zoneId;
+                });
             })
             .catch(error => {
                 console.error('Error loading GeoJSON:', error);
@@ -248,16 +296,29 @@ function loadCampusBoundary() {
 
 // =============== REPORT FUNCTIONS ===============
 
-// Fetch reports from server
-function fetchReports() {
-    console.log('Fetching reports from server...');
-    fetch(`${API_URL}/reports`)
+// Fetch every page of reports matching the given query parameters
+function fetchAllReports(params, collected = []) {
+    const query = new URLSearchParams(params);
+    return fetch(`${API_URL}/reports?${query}`)
         .then(response => {
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             return response.json();
         })
+        .then(data => {
+            const all = collected.concat(data.reports);
+            if (data.nextCursor) {
+                return fetchAllReports({ ...params, cursor: data.nextCursor }, all);
+            }
+            return all;
+        });
+}
+
+// Fetch reports from server
+function fetchReports() {
+    console.log('Fetching reports from server...');
+    fetchAllReports({})
         .then(data => {
             reports = data; // Update reports array with fetched data
             console.log(`Fetched ${reports.length} reports from server`);
@@ -273,6 +334,67 @@ function fetchReports() {
         });
 }
 
+// =============== REAL-TIME UPDATES ===============
+
+var reportEventsInterrupted = false; // Set while the event stream is down, to resync on reconnect
+
+// Listen for report changes pushed by the server and apply them to the map as they arrive
+function subscribeToReportEvents() {
+    const eventSource = new EventSource(`${API_URL}/events`);
+    
+    eventSource.addEventListener('open', () => {
+        if (reportEventsInterrupted) {
+            // Changes made while disconnected were missed; reload everything once
+            console.log('Report event stream reconnected, reloading reports');
+            reportEventsInterrupted = false;
+            fetchReports();
+        }
+    });
+    
+    eventSource.addEventListener('error', () => {
+        reportEventsInterrupted = true;
+        // The browser retries dropped connections by itself, but gives up after an error response
+        if (eventSource.readyState === EventSource.CLOSED) {
+            console.warn('Report event stream closed, retrying in 5 seconds');
+            setTimeout(subscribeToReportEvents, 5000);
+        }
+    });
+    
+    eventSource.addEventListener('report-created', event => upsertReport(JSON.parse(event.data)));
+    eventSource.addEventListener('report-updated', event => upsertReport(JSON.parse(event.data)));
+    eventSource.addEventListener('report-deleted', event => removeReport(JSON.parse(event.data)._id));
+}
+
+// Add a report to the map, or replace the marker of a report already shown
+function upsertReport(report) {
+    const index = reports.findIndex(existing => existing._id === report._id);
+    if (index !== -1) {
+        const previous = reports[index].marker;
+        const wasOpen = previous && previous.isPopupOpen();
+        if (previous) map.removeLayer(previous);
+        reports[index] = report;
+        addReportMarker(report, index);
+        
+        // Keep a popup someone is reading open, with its comments if they were shown
+        if (wasOpen && report.marker) {
+            report.marker.openPopup();
+            if (openCommentsReportId === report._id) loadComments(report._id);
+        }
+    } else {
+        reports.push(report);
+        addReportMarker(report, reports.length - 1);
+    }
+}
+
+// Remove a report and its marker from the map
+function removeReport(reportId) {
+    const index = reports.findIndex(report => report._id === reportId);
+    if (index === -1) return;
+    
+    if (reports[index].marker) map.removeLayer(reports[index].marker);
+    reports.splice(index, 1);
+}
+
 // Update markers on map based on reports
 function updateMarkers() {
     console.log('Updating markers on map...');
@@ -294,88 +416,64 @@ function updateMarkers() {
     console.log(`Creating ${reports.length} markers on the map...`);
 
     // Add markers for all reports
-    reports.forEach((report, index) => {
-        if (!report.lat || !report.lng) {
-            console.warn('Report missing coordinates:', report);
-            return;
-        }
-        
-        // Get color based on report type
-        const markerColor = markerColors[report.type] || '#9E9E9E';
-        
-        try {
-            // Create simple circular marker icon
-            const markerIcon = L.divIcon({
-                className: 'custom-div-icon',
-                html: `<div style="background-color:${markerColor};" class="simple-circle-marker"></div>`,
-                iconSize: [14, 14],
-                iconAnchor: [7, 7],
-                popupAnchor: [0, -7]
-            });
-            
-            // Create the marker with the custom icon
-            const marker = L.marker([report.lat, report.lng], {
-                icon: markerIcon,
-                riseOnHover: true,
-                title: report.type || 'Report',
-                alt: `Report #${index + 1}`
-            }).addTo(map);
-            
-            // Create popup content
-            const popupContent = createPopupContent(report);
-            
-            // Bind popup to marker
-            marker.bindPopup(popupContent, {
-                minWidth: 250,
-                maxWidth: 300,
-                className: 'report-popup',
-                closeButton: true,
-                closeOnClick: false
-            });
-            
-            // Add direct click handler to ensure popup opens
-            marker.on('click', function(e) {
-                L.DomEvent.preventDefault(e);
-                L.DomEvent.stopPropagation(e);
-                this.openPopup();
-            });
-            
-            // Handle popup open event to set up button handlers
-            marker.on('popupopen', function() {
-                console.log(`Popup opened for report ${report._id}`);
-                
-                // Get the buttons and add click handlers
-                setTimeout(() => {
-                    const editBtn = document.getElementById(`edit-${report._id}`);
-                    const deleteBtn = document.getElementById(`delete-${report._id}`);
-                    
-                    if (editBtn) {
-                        editBtn.onclick = function(e) {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            editReport(report._id);
-                            return false;
-                        };
-                    }
-                    
-                    if (deleteBtn) {
-                        deleteBtn.onclick = function(e) {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            deleteReport(report._id);
-                            return false;
-                        };
-                    }
-                }, 100);
-            });
-        } catch (err) {
-            console.error(`Error creating marker for report ${report._id}:`, err);
-        }
-    });
+    reports.forEach((report, index) => addReportMarker(report, index));
     
     console.log(`Markers created successfully`);
 }
 
+// Create the marker and popup for one report
+function addReportMarker(report, index) {
+    if (!report.lat || !report.lng) {
+        console.warn('Report missing coordinates:', report);
+        return;
+    }
+    
+    // Get color based on report type
+    const markerColor = markerColors[report.type] || '#9E9E9E';
+    
+    try {
+        // Create simple circular marker icon
+        const markerIcon = L.divIcon({
+            className: 'custom-div-icon',
+            html: `<div style="background-color:${markerColor};" class="simple-circle-marker"></div>`,
+            iconSize: [14, 14],
+            iconAnchor: [7, 7],
+            popupAnchor: [0, -7]
+        });
+        
+        // Create the marker with the custom icon
+        const marker = L.marker([report.lat, report.lng], {
+            icon: markerIcon,
+            riseOnHover: true,
+            title: report.type || 'Report',
+            alt: `Report #${index + 1}`
+        }).addTo(map);
+        
+        // Create popup content
+        const popupContent = createPopupContent(report);
+        
+        // Bind popup to marker
+        marker.bindPopup(popupContent, {
+            minWidth: 250,
+            maxWidth: 300,
+            className: 'report-popup',
+            closeButton: true,
+            closeOnClick: false
+        });
+        
+        // Add direct click handler to ensure popup opens
+        marker.on('click', function(e) {
+            L.DomEvent.preventDefault(e);
+            L.DomEvent.stopPropagation(e);
+            this.openPopup();
+        });
+        
+        report.marker = marker;
+    } catch (err) {
+        console.error(`Error creating marker for report ${report._id}:`, err);
+    }
+}
+
 // Function to get a darker shade of a color
 function getDarkerColor(hex, percent) {
     // Convert hex to RGB
@@ -414,6 +512,10 @@ function createPopupContent(report) {
                     <strong>Type:</strong>
                     <div class="detail-value">${report.type || 'Unknown'}</div>
                 </div>
+                <div class="detail-item">
+                    <strong>Issue:</strong>
+                    <div class="detail-value">${report.issueCategory || 'N/A'}</div>
+                </div>
                 <div class="detail-item">
                     <strong>Time:</strong>
                     <div class="detail-value">${timeStr}</div>
@@ -422,6 +524,10 @@ function createPopupContent(report) {
                     <strong>Status:</strong>
                     <div class="detail-value">${report.status || 'N/A'}</div>
                 </div>
+                <div class="detail-item">
+                    <strong>Zone:</strong>
+                    <div class="detail-value">${zoneNames[report.zoneId] || report.zoneId || 'N/A'}</div>
+                </div>
                 <div class="detail-item">
                     <strong>Description:</strong>
                     <div class="detail-value">${report.description || 'N/A'}</div>
@@ -430,15 +536,31 @@ function createPopupContent(report) {
                     <strong>Urgency:</strong>
                     <div class="detail-value">${report.urgency || 'N/A'}</div>
                 </div>
-                ${report.photo ? `
+                <div class="detail-item">
+                    <strong>Confirmed by:</strong>
+                    <div class="detail-value">${report.confirmations || 0} other(s)</div>
+                </div>
+                ${report.photos && report.photos.length > 0 ? `
                     <div class="detail-item">
-                        <strong>Photo:</strong>
-                        <img src="${report.photo.startsWith('/') ? API_URL + report.photo : report.photo}" alt="Report Photo" style="max-width:100%; max-height:200px; margin:8px 0; border-radius:4px;">
+                        <strong>Photos:</strong>
+                        <div class="photo-gallery">
+                            ${report.photos.map(photo => `
+                                <a href="${photoSrc(photo.url)}" target="_blank" rel="noopener">
+                                    <img src="${photoSrc(photo.thumbnailUrl || photo.url)}" alt="Report Photo">
+                                </a>
+                            `).join('')}
+                        </div>
                     </div>
                 ` : ''}
-                <div class="report-actions">
-                    <button id="edit-${report._id}" class="action-button" onclick="editReport('${report._id}'); return false;">Edit</button>
-                    <button id="delete-${report._id}" class="action-button delete-button" onclick="deleteReport('${report._id}'); return false;">Delete</button>
+                <div class="detail-item">
+                    <strong>Comments:</strong>
+                    <button type="button" class="link-button" onclick="toggleComments('${report._id}')">
+                        ${report.commentCount ? `Show ${report.commentCount} comment(s)` : 'Add a comment'}
+                    </button>
+                    <div id="comments-${report._id}" class="report-comments" style="display:none;"></div>
+                </div>
+                <div class="button-group">
+                    <button type="button" onclick="confirmReport('${report._id}')">Me too</button>
                 </div>
             </div>
         `;
@@ -448,272 +570,6 @@ function createPopupContent(report) {
     }
 }
 
-// Delete a report
-function deleteReport(id) {
-    // Show confirmation dialog
-    if (!confirm('Are you sure you want to delete this report?')) {
-        return; // User canceled
-    }
-    
-    console.log('Deleting report with id:', id);
-    
-    fetch(`${API_URL}/reports/${id}`, {
-        method: 'DELETE'
-    })
-    .then(response => {
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return response.json();
-    })
-    .then(() => {
-        console.log('Report deleted successfully');
-        // Remove the deleted report from the reports array
-        reports = reports.filter(r => r._id !== id);
-        updateMarkers(); // Refresh the markers on the map
-        map.closePopup(); // Close any open popup
-        alert('Report deleted successfully');
-    })
-    .catch(error => {
-        console.error('Error deleting report:', error);
-        alert('Error deleting report: ' + error.message);
-    });
-}
-
-// Edit a report
-function editReport(id) {
-    const report = reports.find(r => r._id === id);
-    if (!report) return;
-
-    const popupContent = `
-        <form id="editForm">
-            <label>Type <span class="required"></span>
-                <select id="editType" onchange="updateEditStatusOptions(this)" required>
-                    <option value="">Please select</option>
-                    <option value="Road" ${report.type === 'Road' ? 'selected' : ''}>Road</option>
-                    <option value="Accessible Ramp" ${report.type === 'Accessible Ramp' ? 'selected' : ''}>Accessible Ramp</option>
-                    <option value="Street Light" ${report.type === 'Street Light' ? 'selected' : ''}>Street Light</option>
-                    <option value="Other" ${report.type === 'Other' || !['Road', 'Accessible Ramp', 'Street Light'].includes(report.type) ? 'selected' : ''}>Other</option>
-                </select>
-            </label>
-            <label id="editOtherTypeLabel" style="display:${report.type === 'Other' || !['Road', 'Accessible Ramp', 'Street Light'].includes(report.type) ? 'block' : 'none'};">Other Type <input type="text" id="editOtherType" value="${report.type === 'Other' || !['Road', 'Accessible Ramp', 'Street Light'].includes(report.type) ? report.type : ''}"></label>
-            <label>Time <span class="required"></span>
-                <input type="datetime-local" id="editTime" value="${new Date(report.time).toISOString().slice(0, 16)}" required>
-            </label>
-            <label>Status <span class="required"></span>
-                <select id="editStatus" required></select>
-            </label>
-            <label>Description
-                <textarea id="editDescription">${report.description || ''}</textarea>
-            </label>
-            <label>Urgency <span class="required"></span>
-                <select id="editUrgency" required>
-                    <option value="">Please select</option>
-                    <option value="Low" ${report.urgency === 'Low' ? 'selected' : ''}>Low</option>
-                    <option value="Medium" ${report.urgency === 'Medium' ? 'selected' : ''}>Medium</option>
-                    <option value="High" ${report.urgency === 'High' ? 'selected' : ''}>High</option>
-                </select>
-            </label>
-            <label>Photo
-                <input type="file" id="editPhoto" accept="image/*" onchange="previewPhoto(this)">
-                ${report.photo ? `<img id="editPhotoPreview" style="display:block; max-width:100%; max-height:120px; margin:6px 0; border-radius:4px;" src="${report.photo.startsWith('/') ? API_URL + report.photo : report.photo}">` : 
-                `<img id="editPhotoPreview" style="display:none; max-width:100%; max-height:120px; margin:6px 0; border-radius:4px;">`}
-            </label>
-            <div class="button-group">
-                <button type="button" onclick="updateReport('${id}')">Update</button>
-                <button type="button" onclick="deleteReport('${id}')">Delete</button>
-            </div>
-        </form>
-    `;
-    
-    L.popup().setLatLng([report.lat, report.lng]).setContent(popupContent).openOn(map);
-    
-    // Initialize status options based on the report's type
-    setTimeout(() => {
-        const typeSelect = document.getElementById('editType');
-        if (typeSelect) {
-            updateEditStatusOptions(typeSelect);
-            // Select the current status if it exists
-            setTimeout(() => {
-                const statusSelect = document.getElementById('editStatus');
-                if (statusSelect && report.status) {
-                    for(let i = 0; i < statusSelect.options.length; i++) {
-                        if(statusSelect.options[i].value === report.status) {
-                            statusSelect.selectedIndex = i;
-                            break;
-                        }
-                    }
-                }
-            }, 50);
-        }
-    }, 100);
-}
-
-// Update a report
-function updateReport(id) {
-    const report = reports.find(r => r._id === id);
-    if (!report) return;
-
-    const typeSelect = document.getElementById('editType');
-    const statusSelect = document.getElementById('editStatus');
-    
-    // Validate form fields
-    if (typeSelect.value === '') {
-        alert('Please select a report type');
-        typeSelect.focus();
-        return false;
-    }
-    
-    if (statusSelect.value === '') {
-        alert('Please select a status');
-        statusSelect.focus();
-        return false;
-    }
-    
-    const typeValue = typeSelect.value;
-    let finalType = typeValue;
-    
-    if (typeValue === 'Other') {
-        finalType = document.getElementById('editOtherType').value || 'Other';
-    }
-
-    const description = document.getElementById('editDescription').value || '';
-    console.log('Description to be updated:', description);
-
-    const formData = new FormData();
-    formData.append('lat', report.lat);
-    formData.append('lng', report.lng);
-    formData.append('type', finalType);
-    formData.append('time', document.getElementById('editTime').value);
-    formData.append('status', statusSelect.value);
-    formData.append('description', description);
-    formData.append('urgency', document.getElementById('editUrgency').value);
-    
-    // Handle photo upload more carefully
-    const photoInput = document.getElementById('editPhoto');
-    if (photoInput && photoInput.files && photoInput.files.length > 0) {
-        const photoFile = photoInput.files[0];
-        
-        // Check if the file is an image
-        if (!photoFile.type.match('image.*')) {
-            alert('Please select an image file (JPEG, PNG, GIF)');
-            return false;
-        }
-        
-        // Check if the file size is reasonable (under 5MB)
-        if (photoFile.size > 5 * 1024 * 1024) {
-            alert('The photo is too large. Please select an image under 5MB.');
-            return false;
-        }
-        
-        console.log('Adding photo to form data:', photoFile.name, photoFile.type, photoFile.size + ' bytes');
-        formData.append('photo', photoFile);
-    } else if (report.photo) {
-        console.log('Keeping existing photo:', report.photo);
-        formData.append('existingPhoto', report.photo);
-    }
-
-    // Display a loading message
-    const updateButton = document.querySelector('button[onclick^="updateReport"]');
-    if (updateButton) {
-        updateButton.disabled = true;
-        updateButton.textContent = 'Updating...';
-    }
-
-    // Log FormData entries for debugging
-    console.log('Sending updated form data to server...');
-
-    fetch(`${API_URL}/reports/${id}`, {
-        method: 'PUT',
-        body: formData
-    })
-    .then(response => {
-        if (!response.ok) {
-            throw new Error(`Server returned ${response.status}: ${response.statusText}`);
-        }
-        return response.json();
-    })
-    .then(updatedReport => {
-        console.log('Report updated:', updatedReport);
-        const index = reports.findIndex(r => r._id === id);
-        if (index !== -1) {
-            reports[index] = updatedReport;
-        }
-        updateMarkers();
-        map.closePopup();
-        alert('Report updated successfully!');
-    })
-    .catch(error => {
-        console.error('Error updating report:', error);
-        alert('Error updating report: ' + error.message);
-        // Re-enable the update button
-        if (updateButton) {
-            updateButton.disabled = false;
-            updateButton.textContent = 'Update';
-        }
-    });
-}
-
-// Update status options in edit form
-function updateEditStatusOptions(select) {
-    const statusSelect = document.getElementById('editStatus');
-    const otherTypeLabel = document.getElementById('editOtherTypeLabel');
-    
-    if (!statusSelect) return;
-    
-    // Clear existing options
-    statusSelect.innerHTML = '';
-    
-    // Add default option
-    const defaultOption = document.createElement('option');
-    defaultOption.value = '';
-    defaultOption.textContent = 'Please select';
-    statusSelect.appendChild(defaultOption);
-    
-    // Show/hide other type field
-    if (otherTypeLabel) {
-        otherTypeLabel.style.display = (select.value === 'Other') ? 'block' : 'none';
-    }
-    
-    // Add options based on selected type
-    switch(select.value) {
-        case 'Road':
-            addOptions(statusSelect, [
-                'Uneven surface',
-                'Slippery pavement',
-                'Narrow width',
-                'Insufficient accessibility features',
-                'Prone to water accumulation',
-                'Others (please specify in the Description)'
-            ]);
-            break;
-        case 'Accessible Ramp':
-            addOptions(statusSelect, [
-                'Uneven surface',
-                'Slippery pavement',
-                'Narrow width',
-                'Excessively steep slope',
-                'Prone to water accumulation',
-                'Others (please specify in the Description)'
-            ]);
-            break;
-        case 'Street Light':
-            addOptions(statusSelect, [
-                'Not working (malfunction/offline)',
-                'Dim lighting',
-                'Flickering light',
-                'Others (please specify in the Description)'
-            ]);
-            break;
-        case 'Other':
-            addOptions(statusSelect, ['Please specify in the Description']);
-            break;
-    }
-    
-    // Always reset to the first (empty) option when type changes
-    statusSelect.selectedIndex = 0;
-}
-
 // Add a new report popup
 function addReportPopup(e) {
     // Check if point is inside campus area
@@ -724,9 +580,11 @@ function addReportPopup(e) {
 
     // Create popup content with form (removed pre-filled time)
     const popupContent = `
-        <form onsubmit="return saveReport(${e.latlng.lat}, ${e.latlng.lng}, this)">
+        <div id="nearbyNotice" class="nearby-notice" style="display:none;"></div>
+        <div id="duplicateNotice" class="nearby-notice" style="display:none;"></div>
+        <form data-lat="${e.latlng.lat}" data-lng="${e.latlng.lng}" onsubmit="return saveReport(Number(this.dataset.lat), Number(this.dataset.lng), this)">
             <label>Type <span class="required"></span>
-                <select id="type" onchange="updateStatusOptions(this)" required>
+                <select id="type" onchange="updateIssueCategoryOptions(this)" required>
                     <option value="">Please select</option>
                     <option value="Road">Road</option>
                     <option value="Accessible Ramp">Accessible Ramp</option>
@@ -738,8 +596,8 @@ function addReportPopup(e) {
             <label>Time <span class="required"></span>
                 <input type="datetime-local" id="time" required>
             </label>
-            <label>Status <span class="required"></span>
-                <select id="status" required></select>
+            <label>Issue <span class="required"></span>
+                <select id="issueCategory" required></select>
             </label>
             <label>Description
                 <textarea id="description" rows="3" placeholder="Describe the issue"></textarea>
@@ -752,9 +610,16 @@ function addReportPopup(e) {
                     <option value="High">High</option>
                 </select>
             </label>
-            <label>Photo
-                <input type="file" id="photo" accept="image/*" onchange="previewPhoto(this)">
-                <img id="photoPreview" style="display:none; max-width:100%; max-height:120px; margin:6px 0; border-radius:4px;">
+            <label>Photos (up to ${MAX_PHOTOS})
+                <input type="file" id="photo" accept="image/*" multiple onchange="previewPhotos(this)">
+                <div id="photoPreview" class="photo-gallery"></div>
+            </label>
+            <div id="photoLocationNotice" class="nearby-notice" style="display:none;"></div>
+            <label class="checkbox-label">
+                <input type="checkbox" id="notifyWhenResolved" onchange="toggleContactEmail(this)"> Email me when this is resolved
+            </label>
+            <label id="contactEmailLabel" style="display:none;">Email
+                <input type="email" id="contactEmail" placeholder="name@example.com">
             </label>
             <div class="button-group">
                 <button type="submit">Submit</button>
@@ -764,10 +629,39 @@ function addReportPopup(e) {
     `;
 
     // Create and open popup
-    L.popup()
+    reportFormPopup = L.popup()
         .setLatLng(e.latlng)
         .setContent(popupContent)
         .openOn(map);
+    
+    showNearbyReports(e.latlng.lat, e.latlng.lng);
+}
+
+// Tell the reporter about open reports already filed close to the chosen spot
+function showNearbyReports(lat, lng) {
+    const params = new URLSearchParams({
+        lat,
+        lng,
+        radius: NEARBY_RADIUS_METERS,
+        status: 'Pending,Acknowledged,In Progress'
+    });
+    
+    fetch(`${API_URL}/reports/near?${params}`)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        })
+        .then(data => {
+            const notice = document.getElementById('nearbyNotice');
+            if (!notice || data.reports.length === 0) return;
+            
+            const types = [...new Set(data.reports.map(report => report.type))].join(', ');
+            notice.textContent = `${data.reports.length} open report(s) within ${NEARBY_RADIUS_METERS} m: ${types}`;
+            notice.style.display = 'block';
+        })
+        .catch(error => console.error('Error fetching nearby reports:', error));
 }
 
 // Save a new report
@@ -799,30 +693,45 @@ function saveReport(lat, lng, form) {
     formData.append('lat', lat);
     formData.append('lng', lng);
     formData.append('type', finalType);
-    formData.append('time', form.querySelector('#time').value);
-    formData.append('status', form.querySelector('#status').value);
+    // Send the time as ISO so the server does not reinterpret it in its own timezone
+    formData.append('time', new Date(form.querySelector('#time').value).toISOString());
+    formData.append('issueCategory', form.querySelector('#issueCategory').value);
     formData.append('description', description);
     formData.append('urgency', form.querySelector('#urgency').value);
     
-    // Handle photo upload
+    // Only sent when the reporter asked to hear back
+    if (form.querySelector('#notifyWhenResolved').checked) {
+        formData.append('notifyWhenResolved', 'true');
+        formData.append('contactEmail', form.querySelector('#contactEmail').value.trim());
+    }
+    
+    // Set once the reporter has seen the likely duplicates and still wants a new report
+    if (form.dataset.confirmNew === 'true') {
+        formData.append('confirmNew', 'true');
+    }
+    
+    // Handle photo uploads
     const photoInput = form.querySelector('#photo');
-    if (photoInput && photoInput.files && photoInput.files.length > 0) {
-        const photoFile = photoInput.files[0];
-        
+    const photoFiles = photoInput && photoInput.files ? Array.from(photoInput.files) : [];
+    if (photoFiles.length > MAX_PHOTOS) {
+        alert(`Please select at most ${MAX_PHOTOS} photos.`);
+        return false;
+    }
+    for (const photoFile of photoFiles) {
         // Check if the file is an image
         if (!photoFile.type.match('image.*')) {
-            alert('Please select an image file (JPEG, PNG, GIF)');
+            alert('Please select image files only (JPEG, PNG, GIF)');
             return false;
         }
         
         // Check if the file size is reasonable (under 5MB)
         if (photoFile.size > 5 * 1024 * 1024) {
-            alert('The photo is too large. Please select an image under 5MB.');
+            alert(`The photo ${photoFile.name} is too large. Please select images under 5MB.`);
             return false;
         }
         
         console.log('Adding photo to form data:', photoFile.name, photoFile.type, photoFile.size + ' bytes');
-        formData.append('photo', photoFile);
+        formData.append('photos', photoFile);
     }
     
     // Display a loading message
@@ -843,17 +752,30 @@ function saveReport(lat, lng, form) {
         body: formData
     })
     .then(response => {
+        // The server found open reports of the same problem nearby
+        if (response.status === 409) {
+            return response.json().then(body => {
+                showDuplicateChoices(lat, lng, form, body.duplicates || []);
+                return null;
+            });
+        }
         if (!response.ok) {
-            throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+            return readErrorResponse(response);
         }
         return response.json();
     })
     .then(data => {
+        if (!data) {
+            if (submitButton) {
+                submitButton.disabled = false;
+                submitButton.textContent = 'Submit';
+            }
+            return;
+        }
+        
         console.log('New report saved:', data);
-        reports.push(data);
-        updateMarkers();
-        map.closePopup();
-        alert('Report submitted successfully!');
+        upsertReport(data);
+        showSubmissionConfirmation(lat, lng, data);
     })
     .catch(error => {
         console.error('Error saving report:', error);
@@ -868,23 +790,180 @@ function saveReport(lat, lng, form) {
     return false;
 }
 
+// Show or hide the email field for resolution emails
+function toggleContactEmail(checkbox) {
+    const label = document.getElementById('contactEmailLabel');
+    label.style.display = checkbox.checked ? 'block' : 'none';
+    document.getElementById('contactEmail').required = checkbox.checked;
+}
+
+// Replace the report form with the tracking code the reporter needs to follow the report
+function showSubmissionConfirmation(lat, lng, report) {
+    const trackUrl = `track.html?code=${encodeURIComponent(report.trackingCode)}`;
+    L.popup()
+        .setLatLng([lat, lng])
+        .setContent(`
+            <div class="submission-confirmation">
+                <h3>Report submitted</h3>
+                <p>Your tracking code is</p>
+                <div class="tracking-code">${report.trackingCode}</div>
+                <p>Keep it to check on your report's progress${report.notifyReporter ? '. We will also email you once it is resolved' : ''}.</p>
+                <div class="button-group">
+                    <button type="button" onclick="window.open('${trackUrl}', '_blank')">Check progress</button>
+                    <button type="button" onclick="map.closePopup()">Close</button>
+                </div>
+            </div>
+        `)
+        .openOn(map);
+}
+
+// Offer the reporter the likely duplicates: confirm one of them, or submit a new report anyway
+function showDuplicateChoices(lat, lng, form, duplicates) {
+    const notice = document.getElementById('duplicateNotice');
+    if (!notice) return;
+    
+    notice.innerHTML = `
+        <strong>This problem may already be reported:</strong>
+        ${duplicates.map(report => `
+            <div class="duplicate-candidate">
+                ${report.type} - ${report.issueCategory || 'N/A'} (${report.status}, ${new Date(report.time).toLocaleDateString()})
+                <button type="button" onclick="confirmReport('${report._id}')">Me too</button>
+            </div>
+        `).join('')}
+        <button type="button" id="submitAnywayButton">Submit as new report</button>
+    `;
+    notice.style.display = 'block';
+    
+    document.getElementById('submitAnywayButton').onclick = function() {
+        form.dataset.confirmNew = 'true';
+        notice.style.display = 'none';
+        saveReport(lat, lng, form);
+    };
+}
+
+// Add a "me too" confirmation to an existing report
+function confirmReport(reportId) {
+    fetch(`${API_URL}/reports/${reportId}/confirm`, { method: 'POST' })
+        .then(response => {
+            if (!response.ok) {
+                return readErrorResponse(response);
+            }
+            return response.json();
+        })
+        .then(updated => {
+            console.log('Report confirmed:', updated);
+            map.closePopup();
+            upsertReport(updated);
+            alert('Thank you! Your confirmation has been added to the existing report.');
+        })
+        .catch(error => {
+            console.error('Error confirming report:', error);
+            alert('Error confirming report: ' + error.message);
+        });
+}
+
+// Show or hide the comments of a report in its popup
+function toggleComments(reportId) {
+    const container = document.getElementById(`comments-${reportId}`);
+    if (!container) return;
+    
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        openCommentsReportId = null;
+        return;
+    }
+    openCommentsReportId = reportId;
+    loadComments(reportId);
+}
+
+// Load a report's comments into its popup, followed by the form for adding one
+function loadComments(reportId) {
+    const container = document.getElementById(`comments-${reportId}`);
+    if (!container) return;
+    
+    container.style.display = 'block';
+    container.innerHTML = '<div class="comment-meta">Loading comments...</div>';
+    
+    fetch(`${API_URL}/reports/${reportId}/comments`)
+        .then(response => {
+            if (!response.ok) return readErrorResponse(response);
+            return response.json();
+        })
+        .then(comments => {
+            container.innerHTML = `
+                ${comments.map(comment => `
+                    <div class="comment">
+                        <div class="comment-meta">${escapeHtml(comment.authorName)}${comment.staff ? ' (campus staff)' : ''} · ${new Date(comment.createdAt).toLocaleString()}</div>
+                        <div>${escapeHtml(comment.body)}</div>
+                    </div>
+                `).join('') || '<div class="comment-meta">No comments yet.</div>'}
+                <form class="comment-form" onsubmit="return postComment('${reportId}', this)">
+                    <textarea name="body" rows="2" maxlength="${COMMENT_MAX_LENGTH}" placeholder="Still broken? Anything to add?" required></textarea>
+                    <input type="text" name="authorName" maxlength="50" placeholder="Your name (optional)">
+                    <button type="submit">Post comment</button>
+                </form>
+            `;
+        })
+        .catch(error => {
+            console.error('Error loading comments:', error);
+            container.innerHTML = `<div class="comment-meta">Could not load comments: ${escapeHtml(error.message)}</div>`;
+        });
+}
+
+// Post a public comment on a report
+function postComment(reportId, form) {
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    
+    fetch(`${API_URL}/reports/${reportId}/comments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            body: form.elements.body.value.trim(),
+            authorName: form.elements.authorName.value.trim()
+        })
+    })
+    .then(response => {
+        if (!response.ok) return readErrorResponse(response);
+        return response.json();
+    })
+    .then(comment => {
+        console.log('Comment posted:', comment);
+        loadComments(reportId);
+    })
+    .catch(error => {
+        console.error('Error posting comment:', error);
+        alert('Error posting comment: ' + error.message);
+        submitButton.disabled = false;
+    });
+    
+    return false;
+}
+
 // =============== UTILITY FUNCTIONS ===============
 
-// Update status options in add form
-function updateStatusOptions(select) {
-    const statusSelect = document.getElementById('status');
+// Escape text written by other people before putting it into HTML
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === null || value === undefined ? '' : String(value);
+    return div.innerHTML;
+}
+
+// Update issue category options in add form
+function updateIssueCategoryOptions(select) {
+    const issueSelect = document.getElementById('issueCategory');
     const otherTypeLabel = document.getElementById('otherTypeLabel');
     
-    if (!statusSelect) return;
+    if (!issueSelect) return;
     
     // Clear existing options
-    statusSelect.innerHTML = '';
+    issueSelect.innerHTML = '';
     
     // Add default option
     const defaultOption = document.createElement('option');
     defaultOption.value = '';
     defaultOption.textContent = 'Please select';
-    statusSelect.appendChild(defaultOption);
+    issueSelect.appendChild(defaultOption);
     
     // Show/hide other type field
     if (otherTypeLabel) {
@@ -894,7 +973,7 @@ function updateStatusOptions(select) {
     // Add options based on selected type
     switch(select.value) {
         case 'Road':
-            addOptions(statusSelect, [
+            addOptions(issueSelect, [
                 'Uneven surface',
                 'Slippery pavement',
                 'Narrow width',
@@ -904,7 +983,7 @@ function updateStatusOptions(select) {
             ]);
             break;
         case 'Accessible Ramp':
-            addOptions(statusSelect, [
+            addOptions(issueSelect, [
                 'Uneven surface',
                 'Slippery pavement',
                 'Narrow width',
@@ -914,7 +993,7 @@ function updateStatusOptions(select) {
             ]);
             break;
         case 'Street Light':
-            addOptions(statusSelect, [
+            addOptions(issueSelect, [
                 'Not working (malfunction/offline)',
                 'Dim lighting',
                 'Flickering light',
@@ -922,11 +1001,23 @@ function updateStatusOptions(select) {
             ]);
             break;
         case 'Other':
-            addOptions(statusSelect, ['Please specify in the Description']);
+            addOptions(issueSelect, ['Please specify in the Description']);
             break;
     }
 }
 
+// Turn an API error response into a readable error, listing field-level validation messages
+function readErrorResponse(response) {
+    return response.json()
+        .catch(() => ({}))
+        .then(body => {
+            const fieldMessages = body.fields ? Object.values(body.fields) : [];
+            throw new Error(fieldMessages.length > 0
+                ? '\n' + fieldMessages.join('\n')
+                : (body.error || `Server returned ${response.status}: ${response.statusText}`));
+        });
+}
+
 // Add options to a select element
 function addOptions(selectElement, options) {
     options.forEach(option => {
@@ -937,36 +1028,92 @@ function addOptions(selectElement, options) {
     });
 }
 
-// Preview uploaded photo
-function previewPhoto(input) {
-    const preview = document.getElementById('photoPreview') || document.getElementById('editPhotoPreview');
+// Resolve a stored photo URL; local uploads are served by the API
+function photoSrc(url) {
+    return url.startsWith('/') ? API_URL + url : url;
+}
+
+// Preview the selected photos and pre-fill the form from the first one's EXIF data
+function previewPhotos(input) {
+    const preview = document.getElementById('photoPreview');
     if (!preview) return;
     
-    if (input.files && input.files[0]) {
+    preview.innerHTML = '';
+    const files = input.files ? Array.from(input.files) : [];
+    
+    files.slice(0, MAX_PHOTOS).forEach(file => {
         const reader = new FileReader();
         
         reader.onload = function(e) {
-            preview.src = e.target.result;
-            preview.style.display = 'block';
+            const img = document.createElement('img');
+            img.src = e.target.result;
+            preview.appendChild(img);
         };
         
-        reader.readAsDataURL(input.files[0]);
-    } else {
-        preview.style.display = 'none';
+        reader.readAsDataURL(file);
+    });
+    
+    if (files.length > 0) {
+        prefillFromPhoto(input.form, files[0]);
     }
 }
 
-// Check if a point is inside the campus polygon
+// Ask the server for a photo's capture time and position; use the time if none was entered
+// and offer to move the report to where the photo was taken
+function prefillFromPhoto(form, file) {
+    const formData = new FormData();
+    formData.append('photo', file);
+    
+    fetch(`${API_URL}/photos/metadata`, { method: 'POST', body: formData })
+        .then(response => response.ok ? response.json() : null)
+        .then(metadata => {
+            if (!metadata) return;
+            
+            const timeInput = form.querySelector('#time');
+            if (metadata.takenAt && timeInput && !timeInput.value) {
+                timeInput.value = toLocalInputValue(metadata.takenAt);
+            }
+            
+            const notice = document.getElementById('photoLocationNotice');
+            if (!notice || metadata.lat === null || !metadata.insideCampus) return;
+            
+            const photoLatLng = L.latLng(metadata.lat, metadata.lng);
+            const distance = Math.round(photoLatLng.distanceTo(L.latLng(Number(form.dataset.lat), Number(form.dataset.lng))));
+            if (distance < 10) return;
+            
+            notice.innerHTML = `The photo was taken ${distance} m from the marked spot.
+                <button type="button" id="usePhotoLocationButton">Use photo location</button>`;
+            notice.style.display = 'block';
+            
+            document.getElementById('usePhotoLocationButton').onclick = function() {
+                form.dataset.lat = metadata.lat;
+                form.dataset.lng = metadata.lng;
+                if (reportFormPopup) {
+                    reportFormPopup.setLatLng(photoLatLng);
+                }
+                notice.style.display = 'none';
+            };
+        })
+        .catch(error => console.error('Error reading photo metadata:', error));
+}
+
+// Format a date for a datetime-local input in the browser's timezone
+function toLocalInputValue(value) {
+    const date = new Date(value);
+    const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+// Check if a point is inside any campus zone
 function isPointInPolygon(lat, lng) {
-    if (!geoJsonPolygon || !geoJsonPolygon.coordinates) {
-        console.error('GeoJSON polygon is not properly loaded or invalid.');
+    if (campusZones.length === 0) {
+        console.error('Campus zones are not properly loaded or invalid.');
         return false;
     }
 
-    // Use Turf.js to check if the point is inside the polygon
+    // Use Turf.js to check if the point is inside any zone polygon
     const point = turf.point([lng, lat]);
-    const polygon = turf.polygon(geoJsonPolygon.coordinates);
-    return turf.booleanPointInPolygon(point, polygon);
+    return campusZones.some(feature => turf.booleanPointInPolygon(point, feature));
 }
 
 // Toggle other type field visibility
@@ -1013,8 +1160,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize map
     initializeMap();
     
-    // Fetch reports from server
+    // Fetch reports from server and keep them up to date
     fetchReports();
+    subscribeToReportEvents();
     
     // Add a fallback timeout to hide the loading overlay in case something goes wrong
     setTimeout(() => {
@@ -6,7 +6,45 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const {Storage} = require('@google-cloud/storage');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { getSignedUrl: getS3SignedUrl } = require('@aws-sdk/s3-request-presigner');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const nodemailer = require('nodemailer');
+const {
+    ROLE_PERMISSIONS,
+    hasPermission,
+    TRACKED_REPORT_FIELDS,
+    diffReportFields,
+    recordHistory,
+    badRequest,
+    parseReportSort,
+    encodeCursor,
+    cursorCondition,
+    parseLimit,
+    parseCampusZones,
+    findZone,
+    isInsideCampus,
+    expandZoneIds,
+    STANDARD_REPORT_TYPES,
+    URGENCY_LEVELS,
+    REPORT_STATUSES,
+    REPORT_VISIBILITIES,
+    validateReportPayload,
+    submissionTime,
+    slaDeadlinesFor,
+    normalizeTrackingCode,
+    PRIVATE_REPORT_FIELDS,
+    omitPrivateReportFields,
+    EXPORT_FORMATS,
+    EXPORT_WRITERS,
+    parseImportFile,
+    median,
+    WEEK_MS,
+    weekRange
+} = require('./lib/helpers');
 
 // Create Express app
 const app = express();
@@ -31,6 +69,14 @@ const connectWithRetry = async (retries = 5, interval = 5000) => {
             });
             console.log('Connected to MongoDB');
             isDbConnected = true;
+            await seedAdminUser();
+            await migrateLegacyReportStatuses();
+            await migrateReportLocations();
+            await migrateReportPhotos();
+            await migrateReportPhotoKeys();
+            await migrateReportSubmissionTimes();
+            await tagReportZones();
+            await syncReportSla();
             return;
         } catch (err) {
             console.error(`MongoDB connection attempt ${i + 1} failed:`, err);
@@ -74,239 +120,2675 @@ const checkDbConnection = (req, res, next) => {
     next();
 };
 
-// Setup Google Cloud Storage
+// Where report photos are stored: "local", "gcs" or "s3". Deployments that only set
+// GCS_BUCKET_NAME keep using Google Cloud Storage.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || (process.env.GCS_BUCKET_NAME ? 'gcs' : 'local');
+
+// Setup Google Cloud Storage (used by the "gcs" storage backend)
 let storage;
 let bucket;
 const bucketName = process.env.GCS_BUCKET_NAME || 'ncku-campus-safety-uploads';
 
-try {
-  // When running on Render, use the environment variable with the JSON content
-  if (process.env.GCS_CREDENTIALS) {
-    const credentials = JSON.parse(process.env.GCS_CREDENTIALS);
-    storage = new Storage({
-      projectId: credentials.project_id,
-      credentials: credentials
-    });
-    console.log('Initialized Google Cloud Storage using environment credentials');
-  } else {
-    // For local development, use the file path
-    storage = new Storage({
-      keyFilename: process.env.GCS_KEY_FILE || path.join(__dirname, 'gcs-key.json')
-    });
-    console.log('Initialized Google Cloud Storage using key file');
+if (STORAGE_BACKEND === 'gcs') {
+  try {
+    // When running on Render, use the environment variable with the JSON content
+    if (process.env.GCS_CREDENTIALS) {
+      const credentials = JSON.parse(process.env.GCS_CREDENTIALS);
+      storage = new Storage({
+        projectId: credentials.project_id,
+        credentials: credentials
+      });
+      console.log('Initialized Google Cloud Storage using environment credentials');
+    } else {
+      // For local development, use the key file if there is one
+      const keyFilename = process.env.GCS_KEY_FILE || path.join(__dirname, 'gcs-key.json');
+      if (fs.existsSync(keyFilename)) {
+        storage = new Storage({ keyFilename });
+        console.log('Initialized Google Cloud Storage using key file');
+      } else if (process.env.GCS_KEY_FILE) {
+        throw new Error(`key file ${keyFilename} not found`);
+      } else {
+        // Otherwise the client finds Application Default Credentials itself
+        // (GOOGLE_APPLICATION_CREDENTIALS, gcloud auth or the metadata server on Google Cloud)
+        storage = new Storage();
+        console.log('Initialized Google Cloud Storage using Application Default Credentials');
+      }
+    }
+    
+    bucket = storage.bucket(bucketName);
+    console.log(`Connected to Google Cloud Storage bucket: ${bucketName}`);
+  } catch (err) {
+    // Stop here rather than failing on the first upload with an unclear error
+    throw new Error(`Google Cloud Storage could not be set up for the gcs storage backend: ${err.message}`);
   }
-  
-  bucket = storage.bucket(bucketName);
-  console.log(`Connected to Google Cloud Storage bucket: ${bucketName}`);
-} catch (err) {
-  console.error('Error initializing Google Cloud Storage:', err);
 }
 
+// Campus region used to reject reports outside campus; the same file the maps draw.
+// Each feature is a named zone: properties.zoneId, properties.name, properties.kind
+// ("campus" or "building") and, for buildings, properties.parent with the campus zoneId.
+const CAMPUS_REGION_FILE = process.env.CAMPUS_REGION_FILE ||
+    path.join(__dirname, 'public', 'ncku_campus_region.geojson');
+let campusZones = null;
+
+// (Re)load the campus zones. On failure the previously loaded zones stay in use.
+const loadCampusRegion = () => {
+    try {
+        const zones = parseCampusZones(JSON.parse(fs.readFileSync(CAMPUS_REGION_FILE, 'utf8')));
+        campusZones = zones;
+        console.log(`Loaded ${zones.length} campus zone(s) from ${CAMPUS_REGION_FILE}`);
+        return true;
+    } catch (err) {
+        console.error('Error loading campus region:', err.message);
+        return false;
+    }
+};
+
+loadCampusRegion();
+
+// Pick up edits to the region file without a restart
+fs.watchFile(CAMPUS_REGION_FILE, { interval: 5000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+        console.log('Campus region file changed, reloading');
+        if (loadCampusRegion() && isDbConnected) {
+            tagReportZones();
+        }
+    }
+});
+
+// Maintenance crews reports can be assigned to, by id
+const MAINTENANCE_TEAMS = {
+    'roads': 'Roads and Pavement Crew',
+    'lighting': 'Lighting Crew',
+    'accessibility': 'Accessibility Crew',
+    'general': 'General Maintenance'
+};
+const TEAM_IDS = Object.keys(MAINTENANCE_TEAMS);
+
+// Days a crew has to deal with an assigned report, by urgency
+const URGENCY_DUE_DAYS = { 'High': 1, 'Medium': 3, 'Low': 7 };
+
+// Due date of an assignment made at assignedAt for a report of this urgency
+const dueDateFor = (urgency, assignedAt) => {
+    const days = URGENCY_DUE_DAYS[urgency] || URGENCY_DUE_DAYS.Low;
+    return new Date(new Date(assignedAt).getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+// Service targets: hours from submission within which a report should be acknowledged
+// (moved out of Pending) and resolved, per urgency. SLA_TARGETS_FILE can override them
+// per urgency and per report type.
+const DEFAULT_SLA_TARGETS = {
+    'High': { acknowledgeHours: 4, resolveHours: 48 },
+    'Medium': { acknowledgeHours: 24, resolveHours: 168 },
+    'Low': { acknowledgeHours: 72, resolveHours: 720 }
+};
+const SLA_TARGETS_FILE = process.env.SLA_TARGETS_FILE || path.join(__dirname, 'sla_targets.json');
+let slaTargets = { urgency: DEFAULT_SLA_TARGETS, types: {} };
+
+// (Re)load the service targets. On failure the previously loaded targets stay in use.
+const loadSlaTargets = () => {
+    if (!fs.existsSync(SLA_TARGETS_FILE)) {
+        console.log(`No SLA targets file at ${SLA_TARGETS_FILE}, using the default targets`);
+        return true;
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(SLA_TARGETS_FILE, 'utf8'));
+        const urgency = {};
+        URGENCY_LEVELS.forEach(level => {
+            urgency[level] = { ...DEFAULT_SLA_TARGETS[level], ...((data.urgency || {})[level] || {}) };
+        });
+
+        const targets = [
+            ...Object.values(urgency),
+            ...Object.values(data.types || {}).flatMap(levels => Object.values(levels || {}))
+        ];
+        const invalid = targets.find(target =>
+            ['acknowledgeHours', 'resolveHours'].some(key =>
+                target[key] !== undefined && !(typeof target[key] === 'number' && target[key] > 0)));
+        if (invalid) {
+            throw new Error(`Target hours must be positive numbers: ${JSON.stringify(invalid)}`);
+        }
+
+        slaTargets = { urgency, types: data.types || {} };
+        console.log(`Loaded SLA targets from ${SLA_TARGETS_FILE}`);
+        return true;
+    } catch (err) {
+        console.error('Error loading SLA targets:', err.message);
+        return false;
+    }
+};
+
+loadSlaTargets();
+
+// Pick up edits to the targets file without a restart
+fs.watchFile(SLA_TARGETS_FILE, { interval: 5000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+        console.log('SLA targets file changed, reloading');
+        if (loadSlaTargets() && isDbConnected) {
+            syncReportSla();
+        }
+    }
+});
+
+// One entry in a report's append-only change history
+const historyEntrySchema = new mongoose.Schema({
+    action: { type: String, enum: ['created', 'updated', 'merged', 'assigned', 'unassigned', 'escalated'], required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Name at the time of the change, so the trail stays readable if the account is removed
+    actorName: { type: String, default: 'Anonymous reporter' },
+    at: { type: Date, default: Date.now },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    comment: { type: String, default: '' },
+    // Staff comments are internal unless shared with the reporter on the tracking page
+    commentPublic: { type: Boolean, default: false }
+}, {
+    _id: false
+});
+
+// A public comment on a report; staff can hide abusive ones
+const commentSchema = new mongoose.Schema({
+    body: { type: String, required: true, maxlength: 500 },
+    authorName: { type: String, default: 'Anonymous' },
+    // Written by a logged-in staff member
+    staff: { type: Boolean, default: false },
+    // Keyed hash of the commenter's address, to spot abuse without storing the address
+    clientHash: { type: String, default: null },
+    hidden: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now }
+}, {
+    versionKey: false
+});
+
+// Report fields changed by assigning a report, recorded in its history
+const ASSIGNMENT_FIELDS = ['team', 'assigneeName', 'dueAt', 'status'];
+
+// GeoJSON point, coordinates in [lng, lat] order
+const pointSchema = new mongoose.Schema({
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true }
+}, {
+    _id: false
+});
+
+// One stored photo: a resized copy without EXIF data plus a thumbnail for popups.
+// Keys are resolved to URLs by the photo storage backend when reports are sent out.
+const photoSchema = new mongoose.Schema({
+    key: String,
+    thumbnailKey: { type: String, default: null },
+    originalName: String,
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    // When the photo was taken, from its EXIF data if it had any
+    takenAt: { type: Date, default: null },
+    uploadedAt: { type: Date, default: Date.now }
+}, {
+    _id: false
+});
+
 // Define Report Schema
 const reportSchema = new mongoose.Schema({
-    lat: Number,
-    lng: Number,
+    location: { type: pointSchema, required: true },
     type: String,
+    // What is wrong, e.g. "Uneven surface" or "Flickering light"
+    issueCategory: { type: String, default: '' },
     time: Date,
-    status: { type: String, default: 'Pending' },
+    // When the report reached us: on submission from the map, or the survey time for imported rows.
+    // Service-target deadlines count from here.
+    submittedAt: { type: Date, default: Date.now },
+    status: { type: String, enum: REPORT_STATUSES, default: 'Pending' },
     description: { type: String, default: '' },
     urgency: String,
-    photo: String
+    photos: { type: [photoSchema], default: [] },
+    visibility: { type: String, enum: REPORT_VISIBILITIES, default: 'public' },
+    // Work order: the crew and person responsible, and when it is due
+    team: { type: String, enum: [...TEAM_IDS, null], default: null, index: true },
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    assigneeName: { type: String, default: null },
+    assignedAt: { type: Date, default: null },
+    dueAt: { type: Date, default: null },
+    // Service targets: deadlines from the SLA targets, when the report left Pending and when it
+    // was closed, and the last target it was escalated for missing
+    acknowledgeDueAt: { type: Date, default: null },
+    resolveDueAt: { type: Date, default: null, index: true },
+    acknowledgedAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+    escalatedFor: { type: String, enum: ['acknowledge', 'resolve', null], default: null },
+    // Most specific campus zone containing the report, from the region file
+    zoneId: { type: String, default: null, index: true },
+    // "Me too" confirmations from other people who saw the same problem
+    confirmations: { type: Number, default: 0 },
+    // Hashed addresses of everyone who confirmed, so each person counts once
+    confirmedBy: { type: [String], select: false },
+    // Public comments, only loaded by the comment routes; commentCount counts the visible ones
+    comments: { type: [commentSchema], select: false },
+    commentCount: { type: Number, default: 0 },
+    // Set at submission when an open report of the same kind was already filed nearby
+    possibleDuplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', default: null },
+    // Set when staff fold this report into a canonical one; merged reports are hidden from listings
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', default: null },
+    // Duplicates whose photos, comments and confirmations this report has taken over
+    mergedFrom: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    // Given to the reporter so they can follow the report without an account; never listed
+    trackingCode: { type: String, default: undefined, unique: true, sparse: true, select: false },
+    // Only kept when the reporter asked to be emailed on resolution, and removed once they are
+    reporterEmail: { type: String, default: null, select: false },
+    notifyReporter: { type: Boolean, default: false },
+    // Id of the row in an imported survey file; re-importing the file updates the report instead of adding another
+    externalId: { type: String, default: undefined, unique: true, sparse: true },
+    // Only loaded by the history endpoint, and only ever appended to with $push
+    history: { type: [historyEntrySchema], select: false }
 }, {
     // Remove the __v field from the output
-    versionKey: false
+    versionKey: false,
+    id: false,
+    // Include the lat/lng virtuals the maps use
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Plain lat/lng read from the GeoJSON location
+reportSchema.virtual('lat').get(function() {
+    return this.location && this.location.coordinates ? this.location.coordinates[1] : undefined;
+});
+reportSchema.virtual('lng').get(function() {
+    return this.location && this.location.coordinates ? this.location.coordinates[0] : undefined;
+});
+
+// Service-target state for the maps: hours taken to acknowledge and resolve, and the missed target
+reportSchema.virtual('sla').get(function() {
+    if (!this._id) return undefined;
+    const submittedAt = submissionTime(this).getTime();
+    const hoursUntil = (date) => date ? Math.round((date.getTime() - submittedAt) / (60 * 60 * 1000) * 10) / 10 : null;
+    return {
+        timeToAcknowledgeHours: hoursUntil(this.acknowledgedAt),
+        timeToResolveHours: hoursUntil(this.resolvedAt),
+        overdue: overdueStage(this)
+    };
+});
+
+// Keep the deadlines and the acknowledge/resolve times in step with the report
+reportSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('type') || this.isModified('urgency')) {
+        Object.assign(this, slaDeadlinesFor(this, slaTargets));
+        this.escalatedFor = null;
+    }
+    if (this.isModified('status')) {
+        const now = new Date();
+        if (this.status !== 'Pending' && !this.acknowledgedAt) {
+            this.acknowledgedAt = now;
+        }
+        if (RESOLVING_STATUSES.includes(this.status)) {
+            this.resolvedAt = this.resolvedAt || now;
+        } else {
+            this.resolvedAt = null;
+        }
+    }
+    next();
 });
 
+// Indexes for the filtered and paginated report listing, and for geo queries
+reportSchema.index({ time: -1, _id: -1 });
+reportSchema.index({ status: 1, time: -1 });
+reportSchema.index({ confirmations: -1, _id: -1 });
+reportSchema.index({ location: '2dsphere' });
+
+// Build a GeoJSON point from lat/lng
+const toPoint = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
 // Create Report model
 const Report = mongoose.model('Report', reportSchema);
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Tracking codes look like "K7QX-M3PA": no 0/O, 1/I/L or U, so they survive being read aloud
+const TRACKING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ23456789';
 
-// Ensure uploads directory exists for local development
-const uploadsDir = path.join(__dirname, 'uploads');
-try {
-    if (!fs.existsSync(uploadsDir)) {
-        console.log('Creating uploads directory:', uploadsDir);
-        fs.mkdirSync(uploadsDir, { recursive: true });
+const generateTrackingCode = async () => {
+    for (;;) {
+        const chars = Array.from({ length: 8 }, () => TRACKING_CODE_ALPHABET[crypto.randomInt(TRACKING_CODE_ALPHABET.length)]);
+        const code = `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+        if (!(await Report.exists({ trackingCode: code }))) {
+            return code;
+        }
     }
-    
-    // Create standard subdirectories
-    const subdirs = ['Road', 'Accessible_Ramp', 'Street_Light', 'Other'];
-    subdirs.forEach(dir => {
-        const subDirPath = path.join(uploadsDir, dir);
-        if (!fs.existsSync(subDirPath)) {
-            console.log('Creating uploads subdirectory:', subDirPath);
-            fs.mkdirSync(subDirPath, { recursive: true });
+};
+
+// Every role, from the permission table in lib/helpers.js
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Statuses that only roles with the reports:resolve permission may set
+const RESOLVING_STATUSES = ['Resolved', 'Rejected'];
+
+// Statuses of reports that are still being worked on
+const OPEN_STATUSES = ['Pending', 'Acknowledged', 'In Progress'];
+
+// The target an open report has missed: 'resolve', 'acknowledge' while still Pending, or null
+const overdueStage = (report, now = new Date()) => {
+    if (!OPEN_STATUSES.includes(report.status) || report.mergedInto) return null;
+    if (report.resolveDueAt && report.resolveDueAt < now) return 'resolve';
+    if (report.status === 'Pending' && report.acknowledgeDueAt && report.acknowledgeDueAt < now) return 'acknowledge';
+    return null;
+};
+
+// Query condition matching the reports overdueStage flags
+const overdueCondition = (now = new Date()) => ({
+    status: { $in: OPEN_STATUSES },
+    $or: [
+        { resolveDueAt: { $lt: now } },
+        { status: 'Pending', acknowledgeDueAt: { $lt: now } }
+    ]
+});
+
+// Which notification emails a staff member wants
+const notificationPreferencesSchema = new mongoose.Schema({
+    // Lowest urgency of new reports to be emailed about, or 'none'
+    newReports: { type: String, enum: [...URGENCY_LEVELS, 'none'], default: 'High' },
+    // Reports assigned to them, and status changes and resolutions of reports they are responsible for
+    assignments: { type: Boolean, default: true },
+    statusChanges: { type: Boolean, default: true },
+    resolutions: { type: Boolean, default: true }
+}, {
+    _id: false
+});
+
+// Define User Schema for staff accounts
+const userSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    passwordHash: { type: String, required: true },
+    displayName: { type: String, default: '' },
+    role: { type: String, enum: ROLES, default: 'staff' },
+    // Maintenance crew the account belongs to, if any
+    team: { type: String, enum: [...TEAM_IDS, null], default: null },
+    // Where notification emails go; none are sent without one
+    email: { type: String, trim: true, lowercase: true, default: '' },
+    notifications: { type: notificationPreferencesSchema, default: () => ({}) },
+    createdAt: { type: Date, default: Date.now }
+}, {
+    versionKey: false
+});
+
+// Never send the password hash back to clients, but include what the role allows
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        ret.permissions = ROLE_PERMISSIONS[ret.role] || [];
+        return ret;
+    }
+});
+
+const User = mongoose.model('User', userSchema);
+
+// Login sessions; MongoDB removes them automatically once expiresAt passes
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+
+const sessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } }
+}, {
+    versionKey: false
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// Password hashing with scrypt, stored as "salt:hash"
+const hashPassword = (password) => {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+            if (err) return reject(err);
+            resolve(`${salt}:${derivedKey.toString('hex')}`);
+        });
+    });
+};
+
+const verifyPassword = (password, storedHash) => {
+    return new Promise((resolve, reject) => {
+        const [salt, hash] = (storedHash || '').split(':');
+        if (!salt || !hash) return resolve(false);
+        crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+};
+
+// Session tokens are only stored hashed, so a database leak does not expose live sessions
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create the first staff account from the environment when no users exist yet
+const seedAdminUser = async () => {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!username || !password) return;
+
+    try {
+        const userCount = await User.countDocuments();
+        if (userCount > 0) return;
+
+        await User.create({
+            username,
+            passwordHash: await hashPassword(password),
+            displayName: 'Administrator',
+            role: 'admin'
+        });
+        console.log(`Created initial staff account: ${username}`);
+    } catch (err) {
+        console.error('Error creating initial staff account:', err);
+    }
+};
+
+// Split a comma-separated query parameter into a list of trimmed values
+const parseList = (value) => {
+    if (value === undefined || value === '') return [];
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Parse a date query parameter, rejecting values that are not dates
+const parseDateParam = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw badRequest(`${name} must be a valid date`);
+    }
+    return date;
+};
+
+// Turn the filter query parameters shared by the report listing routes into a MongoDB filter
+// Supported: type, status, urgency, zone (comma-separated), from, to (report time) and
+// bbox=minLng,minLat,maxLng,maxLat. Staff-only reports are left out unless includeHidden is set.
+const buildReportFilter = (query, { includeHidden = false, user = null } = {}) => {
+    const conditions = [];
+
+    if (!includeHidden) {
+        conditions.push({ visibility: { $ne: 'staff' } });
+    }
+
+    const types = parseList(query.type);
+    if (types.length > 0) {
+        const namedTypes = types.filter(type => type !== 'Other');
+        const typeConditions = [{ type: { $in: namedTypes } }];
+        if (types.includes('Other')) {
+            // "Other" covers every custom type as well as the literal "Other"
+            typeConditions.push({ type: { $nin: STANDARD_REPORT_TYPES } });
+        }
+        conditions.push({ $or: typeConditions });
+    }
+
+    const statuses = parseList(query.status);
+    const invalidStatus = statuses.find(status => !REPORT_STATUSES.includes(status));
+    if (invalidStatus) {
+        throw badRequest(`Unknown status "${invalidStatus}". Allowed: ${REPORT_STATUSES.join(', ')}`);
+    }
+    if (statuses.length > 0) {
+        conditions.push({ status: { $in: statuses } });
+    }
+
+    const urgencies = parseList(query.urgency);
+    const invalidUrgency = urgencies.find(urgency => !URGENCY_LEVELS.includes(urgency));
+    if (invalidUrgency) {
+        throw badRequest(`Unknown urgency "${invalidUrgency}". Allowed: ${URGENCY_LEVELS.join(', ')}`);
+    }
+    if (urgencies.length > 0) {
+        conditions.push({ urgency: { $in: urgencies } });
+    }
+
+    // Reports merged into another one are hidden unless asked for
+    if (query.includeMerged !== 'true') {
+        conditions.push({ mergedInto: null });
+    }
+
+    if (query.possibleDuplicate === 'true') {
+        conditions.push({ possibleDuplicateOf: { $ne: null } });
+    }
+
+    // Work queues: assignee=me (needs a login), assignee=<user id> or assignee=none, and team
+    if (query.assignee) {
+        if (query.assignee === 'me') {
+            if (!user) throw badRequest('assignee=me requires a staff login');
+            conditions.push({ assignee: user._id });
+        } else if (query.assignee === 'none') {
+            conditions.push({ assignee: null });
+        } else if (mongoose.Types.ObjectId.isValid(query.assignee)) {
+            conditions.push({ assignee: new mongoose.Types.ObjectId(query.assignee) });
+        } else {
+            throw badRequest('assignee must be me, none or a user id');
+        }
+    }
+
+    if (query.minConfirmations !== undefined) {
+        const minConfirmations = parseInt(query.minConfirmations, 10);
+        if (isNaN(minConfirmations) || minConfirmations < 0) {
+            throw badRequest('minConfirmations must be a non-negative whole number');
+        }
+        conditions.push({ confirmations: { $gte: minConfirmations } });
+    }
+
+    if (query.overdue === 'true') {
+        conditions.push(overdueCondition());
+    }
+
+    const teams = parseList(query.team);
+    if (teams.length > 0) {
+        const unknown = teams.filter(team => !TEAM_IDS.includes(team));
+        if (unknown.length > 0) {
+            throw badRequest(`Unknown team(s): ${unknown.join(', ')}`);
+        }
+        conditions.push({ team: { $in: teams } });
+    }
+
+    const zones = parseList(query.zone);
+    if (zones.length > 0) {
+        conditions.push({ zoneId: { $in: expandZoneIds(campusZones, zones) } });
+    }
+
+    if (query.from || query.to) {
+        const timeRange = {};
+        if (query.from) timeRange.$gte = parseDateParam(query.from, 'from');
+        if (query.to) timeRange.$lte = parseDateParam(query.to, 'to');
+        conditions.push({ time: timeRange });
+    }
+
+    if (query.bbox) {
+        const bbox = parseList(query.bbox).map(Number);
+        if (bbox.length !== 4 || bbox.some(isNaN)) {
+            throw badRequest('bbox must be minLng,minLat,maxLng,maxLat');
         }
+        const [minLng, minLat, maxLng, maxLat] = bbox;
+        conditions.push({
+            location: {
+                $geoWithin: {
+                    $geometry: {
+                        type: 'Polygon',
+                        coordinates: [[
+                            [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+                        ]]
+                    }
+                }
+            }
+        });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Fetch one sorted page of the reports matching a filter, using the sort, limit and cursor query parameters.
+// The reports are only counted for the first page, or for a later one with total=true.
+const listReports = async (filter, query) => {
+    const sort = parseReportSort(query.sort);
+    const limit = parseLimit(query.limit);
+
+    const pageFilter = query.cursor
+        ? { $and: [filter, cursorCondition(query.cursor, sort)] }
+        : filter;
+
+    // Fetch one extra report to know whether another page follows
+    const [total, page] = await Promise.all([
+        !query.cursor || query.total === 'true' ? Report.countDocuments(filter) : null,
+        Report.find(pageFilter)
+            .sort({ [sort.field]: sort.direction, _id: sort.direction })
+            .limit(limit + 1)
+    ]);
+
+    const hasMore = page.length > limit;
+    const reports = hasMore ? page.slice(0, limit) : page;
+    const nextCursor = hasMore ? encodeCursor(reports[reports.length - 1], sort) : null;
+
+    return { reports: await Promise.all(reports.map(withPhotoUrls)), total, nextCursor };
+};
+
+// Largest radius GET /reports/near accepts
+const MAX_NEAR_RADIUS_METERS = 5000;
+
+// Parse and check the lat, lng and radius parameters of a "near" query
+const parseNearQuery = (query) => {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+    const radius = query.radius === undefined ? 100 : parseFloat(query.radius);
+
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+        throw badRequest('lat must be a number between -90 and 90');
+    }
+    if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+        throw badRequest('lng must be a number between -180 and 180');
+    }
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_NEAR_RADIUS_METERS) {
+        throw badRequest(`radius must be between 0 and ${MAX_NEAR_RADIUS_METERS} meters`);
+    }
+    return { lat, lng, radius };
+};
+
+// Check that a request body holds a GeoJSON Polygon or MultiPolygon geometry (or a Feature wrapping one)
+const parsePolygonBody = (body) => {
+    const geometry = body && body.type === 'Feature' ? body.geometry : (body && body.geometry) || body;
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+        throw badRequest('Body must be a GeoJSON Polygon or MultiPolygon geometry');
+    }
+    return geometry;
+};
+
+// How close and how recent an open report of the same kind must be to count as a likely duplicate
+const DUPLICATE_RADIUS_METERS = parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 30;
+const DUPLICATE_WINDOW_DAYS = parseFloat(process.env.DUPLICATE_WINDOW_DAYS) || 30;
+
+// Find open reports of the same type and issue near a new report, nearest first
+const findDuplicateCandidates = ({ lat, lng, type, issueCategory }) => {
+    return Report.find({
+        location: {
+            $nearSphere: {
+                $geometry: toPoint(lat, lng),
+                $maxDistance: DUPLICATE_RADIUS_METERS
+            }
+        },
+        type,
+        issueCategory: issueCategory || '',
+        status: { $in: OPEN_STATUSES },
+        mergedInto: null,
+        // The submitter gets to see the candidates, so never offer staff-only reports
+        visibility: { $ne: 'staff' },
+        time: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000) }
+    }).limit(5);
+};
+
+// ===== Report payload validation =====
+
+// How old the time of a newly submitted report may be
+const REPORT_MAX_AGE_DAYS = parseInt(process.env.REPORT_MAX_AGE_DAYS, 10) || 365;
+
+// Send the structured 400 response for a failed validation
+const sendValidationError = (res, errors) => {
+    return res.status(400).json({
+        error: 'Validation failed',
+        fields: errors
     });
-} catch (err) {
-    console.error('Error creating directories:', err);
-}
+};
 
-// Configure multer for memory storage (for GCS) or disk storage (for local)
-const multerStorage = process.env.GCS_BUCKET_NAME ? multer.memoryStorage() : multer.diskStorage({
-    destination: function (req, file, cb) {
-        // For ANY custom type that isn't one of the standard types, use the "Other" folder
-        const standardTypes = ['Road', 'Accessible Ramp', 'Street Light'];
-        let typeDir = 'Other';
-        
-        if (req.body && req.body.type && standardTypes.includes(req.body.type)) {
-            typeDir = req.body.type.toLowerCase().replace(/ /g, '_');
+// Data migrations, safe to run on every startup
+
+// Older reports stored plain lat/lng numbers; convert them to a GeoJSON location.
+// Reports with missing or out-of-range coordinates cannot be indexed and are left for review.
+const migrateReportLocations = async () => {
+    try {
+        const result = await Report.collection.updateMany(
+            {
+                location: { $exists: false },
+                lat: { $gte: -90, $lte: 90 },
+                lng: { $gte: -180, $lte: 180 }
+            },
+            [
+                { $set: { location: { type: 'Point', coordinates: ['$lng', '$lat'] } } },
+                { $unset: ['lat', 'lng'] }
+            ]
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`Migrated ${result.modifiedCount} reports to GeoJSON locations`);
+        }
+
+        const unmigrated = await Report.collection.countDocuments({ location: { $exists: false } });
+        if (unmigrated > 0) {
+            console.warn(`${unmigrated} reports have no valid coordinates and were not migrated`);
+        }
+    } catch (err) {
+        console.error('Error migrating report locations:', err);
+    }
+};
+
+// Reports used to hold a single photo URL (plus URLs taken over from merged duplicates);
+// move them into the photos list
+const migrateReportPhotos = async () => {
+    try {
+        const result = await Report.collection.updateMany(
+            { $or: [{ photo: { $exists: true } }, { mergedPhotos: { $exists: true } }] },
+            [
+                {
+                    $set: {
+                        photos: {
+                            $map: {
+                                input: {
+                                    $filter: {
+                                        input: { $concatArrays: [['$photo'], { $ifNull: ['$mergedPhotos', []] }] },
+                                        cond: { $gt: [{ $strLenCP: { $ifNull: ['$$this', ''] } }, 0] }
+                                    }
+                                },
+                                in: { url: '$$this', thumbnailUrl: null, takenAt: null }
+                            }
+                        }
+                    }
+                },
+                { $unset: ['photo', 'mergedPhotos'] }
+            ]
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`Migrated ${result.modifiedCount} reports to photo lists`);
+        }
+    } catch (err) {
+        console.error('Error migrating report photos:', err);
+    }
+};
+
+// Storage key of a photo saved as a full URL: a local "/uploads/..." path or a GCS URL
+const legacyPhotoKey = (url) => {
+    if (!url) return null;
+    if (url.startsWith('/uploads/')) {
+        return decodeURIComponent(url.slice('/uploads/'.length));
+    }
+    
+    try {
+        const parsed = new URL(url);
+        if (!parsed.hostname.endsWith('storage.googleapis.com') && !parsed.hostname.endsWith('storage.cloud.google.com')) {
+            return null;
         }
         
-        console.log(`Storing file for type "${req.body.type}" in directory: ${typeDir}`);
+        // JSON API URLs hold the object path after "/o/"; signed and direct URLs are "/<bucket>/<path>"
+        const objectPath = parsed.pathname.includes('/o/')
+            ? decodeURIComponent(parsed.pathname.split('/o/')[1])
+            : decodeURIComponent(parsed.pathname.split('/').slice(2).join('/'));
         
-        const typePath = path.join(uploadsDir, typeDir);
-        try {
-            if (!fs.existsSync(typePath)) {
-                console.log('Creating type directory:', typePath);
-                fs.mkdirSync(typePath, { recursive: true });
+        return objectPath.startsWith('uploads/') ? objectPath.slice('uploads/'.length) : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Photos used to be saved with their full URL, which for GCS was a long-lived signed URL;
+// store the backend-neutral key instead
+const migrateReportPhotoKeys = async () => {
+    try {
+        const reports = await Report.collection
+            .find({ 'photos.url': { $exists: true } }, { projection: { photos: 1 } })
+            .toArray();
+        
+        let unconverted = 0;
+        const updates = reports.map(report => {
+            const photos = report.photos.map(photo => {
+                if (!photo.url) return photo;
+                
+                const key = legacyPhotoKey(photo.url);
+                if (!key) {
+                    unconverted++;
+                    return photo;
+                }
+                
+                const { url, thumbnailUrl, ...rest } = photo;
+                return { ...rest, key, thumbnailKey: legacyPhotoKey(thumbnailUrl) };
+            });
+            return { updateOne: { filter: { _id: report._id }, update: { $set: { photos } } } };
+        });
+        
+        if (updates.length > 0) {
+            await Report.collection.bulkWrite(updates);
+            console.log(`Converted photo URLs to storage keys for ${updates.length} reports`);
+        }
+        if (unconverted > 0) {
+            console.warn(`${unconverted} photo URLs could not be converted to storage keys and were left as they are`);
+        }
+    } catch (err) {
+        console.error('Error migrating report photo keys:', err);
+    }
+};
+
+// Reports used to take their submission time from their id; store it so imported reports
+// can have their own
+const migrateReportSubmissionTimes = async () => {
+    try {
+        const result = await Report.collection.updateMany(
+            { submittedAt: { $exists: false } },
+            [{ $set: { submittedAt: { $toDate: '$_id' } } }]
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`Stored the submission time of ${result.modifiedCount} reports`);
+        }
+    } catch (err) {
+        console.error('Error migrating report submission times:', err);
+    }
+};
+
+// Tag every report with the zone it falls in; run at startup and whenever the zones change
+const tagReportZones = async () => {
+    try {
+        const updates = [];
+        const cursor = Report.find({}, { location: 1, zoneId: 1 }).lean().cursor();
+        for await (const report of cursor) {
+            if (!report.location || !Array.isArray(report.location.coordinates)) continue;
+            const [lng, lat] = report.location.coordinates;
+            const zone = findZone(campusZones, lat, lng);
+            const zoneId = zone ? zone.id : null;
+            if ((report.zoneId || null) !== zoneId) {
+                updates.push({ updateOne: { filter: { _id: report._id }, update: { $set: { zoneId } } } });
             }
-            cb(null, typePath);
-        } catch (err) {
-            console.error('Error creating type directory:', err);
-            cb(err);
         }
-    },
-    filename: function (req, file, cb) {
-        // Create a unique filename with date and original extension
-        const dateStr = new Date().toISOString().replace(/:/g, '-').split('.')[0];
-        const fileExt = path.extname(file.originalname);
-        const filename = `${dateStr}_${path.basename(file.originalname, fileExt)}${fileExt}`;
-        console.log('Generated filename:', filename);
-        cb(null, filename);
+        if (updates.length > 0) {
+            await Report.bulkWrite(updates);
+            console.log(`Updated the campus zone of ${updates.length} reports`);
+        }
+    } catch (err) {
+        console.error('Error tagging report zones:', err);
     }
-});
+};
 
-// File filter to only accept images
-const fileFilter = (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-        cb(null, true);
-    } else {
+// When a report left Pending and when it was last closed, from the status changes in its
+// history; null when the history has no status changes
+const statusTimesFromHistory = (history) => {
+    const statusChanges = [...history]
+        .sort((a, b) => new Date(a.at) - new Date(b.at))
+        .map(entry => ({ at: entry.at, change: (entry.changes || []).find(c => c.field === 'status') }))
+        .filter(({ change }) => change);
+    if (statusChanges.length === 0) return null;
+
+    let acknowledgedAt = null;
+    let resolvedAt = null;
+    statusChanges.forEach(({ at, change }) => {
+        if (change.to !== 'Pending' && !acknowledgedAt) acknowledgedAt = at;
+        resolvedAt = RESOLVING_STATUSES.includes(change.to) ? (resolvedAt || at) : null;
+    });
+    return { acknowledgedAt, resolvedAt };
+};
+
+// Fill in every report's deadlines and acknowledge/resolve times from the current targets and
+// its history; run at startup and whenever the targets change. Times without a recorded status
+// change (reports older than the history) are left as they are.
+const syncReportSla = async () => {
+    try {
+        const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+        const updates = [];
+        const cursor = Report.find({})
+            .select('type urgency submittedAt acknowledgeDueAt resolveDueAt acknowledgedAt resolvedAt +history')
+            .lean()
+            .cursor();
+        for await (const report of cursor) {
+            const times = statusTimesFromHistory(report.history || []) || {
+                acknowledgedAt: report.acknowledgedAt || null,
+                resolvedAt: report.resolvedAt || null
+            };
+            const values = { ...slaDeadlinesFor(report, slaTargets), ...times };
+            if (Object.keys(values).some(key => !sameTime(values[key], report[key]))) {
+                updates.push({ updateOne: { filter: { _id: report._id }, update: { $set: values } } });
+            }
+        }
+        if (updates.length > 0) {
+            await Report.bulkWrite(updates);
+            console.log(`Updated the service-target times of ${updates.length} reports`);
+        }
+    } catch (err) {
+        console.error('Error syncing report service targets:', err);
+    }
+};
+
+// Older reports stored the issue sub-type in `status`; move it to issueCategory and reset the workflow status
+const migrateLegacyReportStatuses = async () => {
+    try {
+        const result = await Report.collection.updateMany(
+            { status: { $nin: REPORT_STATUSES } },
+            [{ $set: { issueCategory: { $ifNull: ['$status', ''] }, status: 'Pending' } }]
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`Migrated ${result.modifiedCount} reports to separate issue category and status`);
+        }
+    } catch (err) {
+        console.error('Error migrating report statuses:', err);
+    }
+};
+
+// Bearer token sent with a request, if any
+const readBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Look up the live session for a token, with its user
+const findSession = (token) => {
+    return Session.findOne({
+        tokenHash: hashToken(token),
+        expiresAt: { $gt: new Date() }
+    }).populate('user');
+};
+
+// Middleware to require a logged-in staff session (Authorization: Bearer <token>)
+const requireAuth = async (req, res, next) => {
+    const token = readBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const session = await findSession(token);
+
+        if (!session || !session.user) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        req.user = session.user;
+        req.session = session;
+        next();
+    } catch (error) {
+        console.error('Error checking session:', error);
+        res.status(500).json({ error: 'Error checking session' });
+    }
+};
+
+// Identify a logged-in user on public routes that show staff more; anonymous and invalid
+// tokens are treated the same, as a public visitor
+const optionalAuth = async (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token || !isDbConnected) {
+        return next();
+    }
+
+    try {
+        const session = await findSession(token);
+        if (session && session.user) {
+            req.user = session.user;
+            req.session = session;
+        }
+    } catch (error) {
+        console.error('Error checking optional session:', error);
+    }
+    next();
+};
+
+// Whether the request comes from staff who may see staff-only reports
+const canSeeHiddenReports = (req) => hasPermission(req.user, 'reports:edit');
+
+// Middleware factory to require a permission from the logged-in user's role (use after requireAuth)
+const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+        console.log(`User "${req.user && req.user.username}" denied permission ${permission}`);
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+
+// Middleware
+// The staff page reads the export file name when the API runs on another origin
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+app.use(express.json());
+
+// Behind a proxy (e.g. on Render) set TRUST_PROXY to the number of proxies, so req.ip is the
+// client's address; rate limits and confirmation counting depend on it
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Ensure uploads directory exists for local development
+const uploadsDir = path.join(__dirname, 'uploads');
+try {
+    if (!fs.existsSync(uploadsDir)) {
+        console.log('Creating uploads directory:', uploadsDir);
+        fs.mkdirSync(uploadsDir, { recursive: true });
+    }
+    
+    // Create standard subdirectories
+    const subdirs = ['Road', 'Accessible_Ramp', 'Street_Light', 'Other'];
+    subdirs.forEach(dir => {
+        const subDirPath = path.join(uploadsDir, dir);
+        if (!fs.existsSync(subDirPath)) {
+            console.log('Creating uploads subdirectory:', subDirPath);
+            fs.mkdirSync(subDirPath, { recursive: true });
+        }
+    });
+} catch (err) {
+    console.error('Error creating directories:', err);
+}
+
+// Keep uploads in memory: every photo is re-encoded before it is stored
+const multerStorage = multer.memoryStorage();
+
+// File filter to only accept images
+const fileFilter = (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+        cb(null, true);
+    } else {
         cb(new Error('Only image files are allowed!'), false);
     }
-};
+};
+
+// Maximum number of photos a report can hold
+const MAX_PHOTOS_PER_REPORT = parseInt(process.env.MAX_PHOTOS_PER_REPORT, 10) || 5;
+
+// Create multer upload middleware
+const uploadOptions = {
+    storage: multerStorage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    }
+};
+const upload = multer(uploadOptions).array('photos', MAX_PHOTOS_PER_REPORT);
+const uploadSinglePhoto = multer(uploadOptions).single('photo');
+
+// Size of stored photos and their thumbnails, in pixels along the longest side
+const PHOTO_MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+
+// EXIF timestamps have no timezone unless the camera wrote one; assume campus time
+const EXIF_DEFAULT_UTC_OFFSET = process.env.EXIF_DEFAULT_UTC_OFFSET || '+08:00';
+
+// Convert a "+08:00" style offset to minutes
+const parseUtcOffset = (offset) => {
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(String(offset || '').trim());
+    if (!match) return null;
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === '-' ? -minutes : minutes;
+};
+
+// Convert EXIF degrees/minutes/seconds to a signed decimal coordinate
+const exifCoordinate = (parts, ref, negativeRef) => {
+    if (!Array.isArray(parts) || parts.length !== 3 || parts.some(part => !Number.isFinite(part))) {
+        return null;
+    }
+    const value = parts[0] + parts[1] / 60 + parts[2] / 3600;
+    return ref === negativeRef ? -value : value;
+};
+
+// Read the capture time and GPS position from a photo's EXIF data, if present
+const readPhotoExif = (exifBuffer) => {
+    const result = { takenAt: null, lat: null, lng: null };
+    if (!exifBuffer) return result;
+    
+    let exif;
+    try {
+        exif = exifReader(exifBuffer);
+    } catch (err) {
+        console.warn('Could not parse photo EXIF data:', err.message);
+        return result;
+    }
+    
+    const photo = exif.Photo || {};
+    const taken = photo.DateTimeOriginal || photo.DateTimeDigitized || (exif.Image || {}).DateTime;
+    if (taken instanceof Date && !isNaN(taken.getTime())) {
+        // exif-reader reads the camera's local wall-clock time as if it were UTC
+        const offset = parseUtcOffset(photo.OffsetTimeOriginal) ?? parseUtcOffset(EXIF_DEFAULT_UTC_OFFSET) ?? 0;
+        result.takenAt = new Date(taken.getTime() - offset * 60 * 1000);
+    }
+    
+    const gps = exif.GPSInfo || {};
+    const lat = exifCoordinate(gps.GPSLatitude, gps.GPSLatitudeRef, 'S');
+    const lng = exifCoordinate(gps.GPSLongitude, gps.GPSLongitudeRef, 'W');
+    if (lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+        result.lat = lat;
+        result.lng = lng;
+    }
+    
+    return result;
+};
+
+// Re-encode an uploaded photo: a resized copy and a thumbnail, both upright and without
+// any EXIF data (sharp drops metadata unless asked to keep it), plus the EXIF capture time
+const processPhoto = async (file) => {
+    const metadata = await sharp(file.buffer).metadata();
+    const { takenAt } = readPhotoExif(metadata.exif);
+    
+    const resize = (size) => sharp(file.buffer)
+        .rotate()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+    
+    const full = await resize(PHOTO_MAX_DIMENSION).jpeg({ quality: 85 }).toBuffer({ resolveWithObject: true });
+    const thumbnail = await resize(THUMBNAIL_SIZE).jpeg({ quality: 75 }).toBuffer();
+    
+    return {
+        full: full.data,
+        thumbnail,
+        width: full.info.width,
+        height: full.info.height,
+        takenAt
+    };
+};
+
+// Folder photos of a report type are stored in; custom types share the "Other" folder
+const photoFolderFor = (type) => {
+    return STANDARD_REPORT_TYPES.includes(type) ? type.toLowerCase().replace(/ /g, '_') : 'Other';
+};
+
+// Store one encoded image in the photo storage backend and return its key
+const savePhotoFile = async (buffer, folder, filename) => {
+    const dateStr = new Date().toISOString().replace(/:/g, '-').split('.')[0];
+    const key = `${folder}/${dateStr}_${filename}`;
+    await photoStorage.put(key, buffer, 'image/jpeg');
+    return key;
+};
+
+// Encode every uploaded photo before storing any, so one unreadable image rejects the request
+// without leaving files behind
+const processPhotos = async (files) => {
+    const processed = [];
+    for (const file of files) {
+        try {
+            processed.push({ file, ...(await processPhoto(file)) });
+        } catch (err) {
+            console.error(`Could not process photo ${file.originalname}:`, err.message);
+            throw badRequest(`${file.originalname} could not be read as an image`);
+        }
+    }
+    return processed;
+};
+
+// Store processed photos for a report and return their photo entries
+const storePhotos = async (processed, type) => {
+    const folder = photoFolderFor(type);
+    const photos = [];
+    
+    for (const photo of processed) {
+        const baseName = `${path.basename(photo.file.originalname, path.extname(photo.file.originalname))}_${crypto.randomBytes(4).toString('hex')}`;
+        const key = await savePhotoFile(photo.full, folder, `${baseName}.jpg`);
+        const thumbnailKey = await savePhotoFile(photo.thumbnail, folder, `${baseName}_thumb.jpg`);
+        
+        photos.push({
+            key,
+            thumbnailKey,
+            originalName: photo.file.originalname,
+            contentType: 'image/jpeg',
+            size: photo.full.length,
+            width: photo.width,
+            height: photo.height,
+            takenAt: photo.takenAt,
+            uploadedAt: new Date()
+        });
+        console.log(`Stored photo in ${photoStorage.name} storage:`, key);
+    }
+    
+    return photos;
+};
+
+// ===== Photo storage backends =====
+// Photos are stored under backend-neutral keys such as "road/2025-03-01T10-00-00_ramp_1a2b3c4d.jpg".
+// Every backend implements:
+//   put(key, buffer, contentType)  store an object
+//   get(key)                       resolve to a readable stream of the object
+//   delete(key)                    remove an object; a missing object is not an error
+//   list()                         resolve to every stored object as { key, size, lastModified }
+//   urlFor(key, expiresIn)         resolve to a short-lived URL the browser can load the object
+//                                  from, or null when the object can only be served by this API
+
+// How long photo URLs handed out in API responses stay valid
+const PHOTO_URL_TTL_SECONDS = parseInt(process.env.PHOTO_URL_TTL_SECONDS, 10) || 60 * 60;
+
+// Files under the uploads directory, served through GET /reports/:id/photos/:n
+const createLocalStorage = (rootDir) => {
+    // Keys come from our own database, but never let one point outside the uploads directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+    
+    return {
+        name: 'local',
+        put: async (key, buffer) => {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+        get: async (key) => {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+        delete: async (key) => {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        },
+        list: async () => {
+            const objects = [];
+            const walk = async (dir) => {
+                for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+                    const entryPath = path.join(dir, entry.name);
+                    if (entry.isDirectory()) {
+                        await walk(entryPath);
+                    } else if (entry.isFile()) {
+                        const stat = await fs.promises.stat(entryPath);
+                        objects.push({
+                            key: path.relative(rootDir, entryPath).split(path.sep).join('/'),
+                            size: stat.size,
+                            lastModified: stat.mtime
+                        });
+                    }
+                }
+            };
+            if (fs.existsSync(rootDir)) {
+                await walk(rootDir);
+            }
+            return objects;
+        },
+        urlFor: async () => null
+    };
+};
+
+// Objects in a Google Cloud Storage bucket, under the same "uploads/" prefix as before
+const createGcsStorage = (gcsBucket) => {
+    const file = (key) => gcsBucket.file(`uploads/${key}`);
+    
+    return {
+        name: 'gcs',
+        put: (key, buffer, contentType) => file(key).save(buffer, {
+            // Uploaded without ACL (works with Uniform bucket-level access)
+            metadata: { contentType },
+            resumable: false
+        }),
+        get: async (key) => file(key).createReadStream(),
+        delete: (key) => file(key).delete({ ignoreNotFound: true }),
+        list: async () => {
+            const [files] = await gcsBucket.getFiles({ prefix: 'uploads/' });
+            return files.map(gcsFile => ({
+                key: gcsFile.name.slice('uploads/'.length),
+                size: Number(gcsFile.metadata.size),
+                lastModified: new Date(gcsFile.metadata.updated)
+            }));
+        },
+        urlFor: async (key, expiresIn) => {
+            const [url] = await file(key).getSignedUrl({
+                version: 'v4',
+                action: 'read',
+                expires: Date.now() + expiresIn * 1000
+            });
+            return url;
+        }
+    };
+};
+
+// Objects in an S3-compatible bucket: AWS S3, or MinIO for local development
+// (set S3_ENDPOINT=http://localhost:9000 and S3_FORCE_PATH_STYLE=true)
+const createS3Storage = () => {
+    const s3Bucket = process.env.S3_BUCKET;
+    if (!s3Bucket) {
+        throw new Error('S3_BUCKET must be set to use the s3 storage backend');
+    }
+    
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    
+    return {
+        name: 's3',
+        put: (key, buffer, contentType) => client.send(new PutObjectCommand({
+            Bucket: s3Bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType
+        })),
+        get: async (key) => {
+            const result = await client.send(new GetObjectCommand({ Bucket: s3Bucket, Key: key }));
+            return result.Body;
+        },
+        // S3 deletes succeed even when the object does not exist
+        delete: (key) => client.send(new DeleteObjectCommand({ Bucket: s3Bucket, Key: key })),
+        list: async () => {
+            const objects = [];
+            let continuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: s3Bucket,
+                    ContinuationToken: continuationToken
+                }));
+                (page.Contents || []).forEach(object => objects.push({
+                    key: object.Key,
+                    size: object.Size,
+                    lastModified: object.LastModified
+                }));
+                continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (continuationToken);
+            return objects;
+        },
+        urlFor: (key, expiresIn) => getS3SignedUrl(client, new GetObjectCommand({ Bucket: s3Bucket, Key: key }), {
+            expiresIn
+        })
+    };
+};
+
+const createPhotoStorage = () => {
+    switch (STORAGE_BACKEND) {
+        case 'local':
+            return createLocalStorage(uploadsDir);
+        case 'gcs':
+            return createGcsStorage(bucket);
+        case 's3':
+            return createS3Storage();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}"; use local, gcs or s3`);
+    }
+};
+
+const photoStorage = createPhotoStorage();
+console.log(`Storing photos with the ${photoStorage.name} storage backend`);
+
+// Delete a photo and its thumbnail from storage, logging rather than failing on errors
+const deletePhotoObjects = async (photo) => {
+    for (const key of [photo.key, photo.thumbnailKey].filter(Boolean)) {
+        try {
+            await photoStorage.delete(key);
+            console.log('Deleted photo from storage:', key);
+        } catch (err) {
+            console.error(`Error deleting photo ${key} from storage:`, err);
+        }
+    }
+};
+
+// Secret for signing photo route URLs; a random one means links die on restart
+const PHOTO_URL_SECRET = process.env.PHOTO_URL_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Signature that lets a photo URL of a staff-only report be loaded without a login until it expires
+const signPhotoUrl = (reportId, index, size, expires) => {
+    return crypto.createHmac('sha256', PHOTO_URL_SECRET)
+        .update(`${reportId}:${index}:${size}:${expires}`)
+        .digest('base64url');
+};
+
+const isValidPhotoSignature = (reportId, index, size, expires, signature) => {
+    if (!signature || !(Number(expires) > Date.now())) return false;
+    const expected = Buffer.from(signPhotoUrl(reportId, index, size, expires));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Short-lived URL for one size ('full' or 'thumbnail') of a report photo: signed by the storage
+// backend when it can serve objects directly, otherwise a URL of GET /reports/:id/photos/:n
+const mintPhotoUrl = async (report, index, size) => {
+    const photo = report.photos[index];
+    const key = size === 'thumbnail' ? photo.thumbnailKey : photo.key;
+    if (!key) return null;
+    
+    const direct = await photoStorage.urlFor(key, PHOTO_URL_TTL_SECONDS);
+    if (direct) return direct;
+    
+    const params = new URLSearchParams();
+    if (size === 'thumbnail') params.set('size', 'thumbnail');
+    if (report.visibility === 'staff') {
+        const expires = Date.now() + PHOTO_URL_TTL_SECONDS * 1000;
+        params.set('expires', expires);
+        params.set('signature', signPhotoUrl(report._id, index, size, expires));
+    }
+    const query = params.toString();
+    return `/reports/${report._id}/photos/${index}${query ? `?${query}` : ''}`;
+};
+
+// Report JSON for API responses, with short-lived URLs for each photo
+const withPhotoUrls = async (report) => {
+    const json = omitPrivateReportFields(typeof report.toJSON === 'function' ? report.toJSON() : report);
+    json.photos = await Promise.all((json.photos || []).map(async (photo, index) => ({
+        ...photo,
+        url: await mintPhotoUrl(json, index, 'full'),
+        thumbnailUrl: await mintPhotoUrl(json, index, 'thumbnail')
+    })));
+    return json;
+};
+
+// ===== Storage reconciliation =====
+
+// Stored objects younger than this are never treated as orphans: their report may still be saving
+const ORPHAN_MIN_AGE_HOURS = parseFloat(process.env.ORPHAN_MIN_AGE_HOURS) || 24;
+
+// Run the reconciliation on a schedule when set; it only deletes with STORAGE_RECONCILE_DELETE=true
+const STORAGE_RECONCILE_INTERVAL_HOURS = parseFloat(process.env.STORAGE_RECONCILE_INTERVAL_HOURS) || 0;
+
+let isReconciling = false;
+
+// Compare the objects in photo storage with the photos reports refer to. Objects no report
+// refers to are orphans and are deleted unless this is a dry run; referenced objects missing
+// from storage are only reported.
+const reconcilePhotoStorage = async ({ dryRun = true } = {}) => {
+    if (isReconciling) {
+        const err = new Error('A storage reconciliation is already running');
+        err.status = 409;
+        throw err;
+    }
+    isReconciling = true;
+    
+    try {
+        const referenced = new Set();
+        const cursor = Report.collection.find({}, { projection: { photos: 1 } });
+        for await (const report of cursor) {
+            for (const photo of report.photos || []) {
+                // Photos whose old URL could not be converted still count as referenced
+                [photo.key, photo.thumbnailKey, legacyPhotoKey(photo.url), legacyPhotoKey(photo.thumbnailUrl)]
+                    .filter(Boolean)
+                    .forEach(key => referenced.add(key));
+            }
+        }
+        
+        const objects = await photoStorage.list();
+        const stored = new Set(objects.map(object => object.key));
+        const cutoff = Date.now() - ORPHAN_MIN_AGE_HOURS * 60 * 60 * 1000;
+        
+        const unreferenced = objects.filter(object => !referenced.has(object.key));
+        const orphans = unreferenced.filter(object => new Date(object.lastModified).getTime() < cutoff);
+        const missing = [...referenced].filter(key => !stored.has(key));
+        
+        let deleted = 0;
+        if (!dryRun) {
+            for (const orphan of orphans) {
+                try {
+                    await photoStorage.delete(orphan.key);
+                    deleted++;
+                } catch (err) {
+                    console.error(`Error deleting orphaned photo ${orphan.key}:`, err);
+                }
+            }
+        }
+        
+        const summary = {
+            dryRun,
+            backend: photoStorage.name,
+            storedObjects: objects.length,
+            referencedObjects: referenced.size,
+            orphans: orphans.map(({ key, size, lastModified }) => ({ key, size, lastModified })),
+            orphanBytes: orphans.reduce((total, orphan) => total + (orphan.size || 0), 0),
+            // Unreferenced but newer than ORPHAN_MIN_AGE_HOURS, left alone
+            recentUnreferenced: unreferenced.length - orphans.length,
+            missing,
+            deleted
+        };
+        console.log(`Storage reconciliation${dryRun ? ' (dry run)' : ''}: ${objects.length} objects, ` +
+            `${orphans.length} orphans, ${missing.length} missing, ${deleted} deleted`);
+        return summary;
+    } finally {
+        isReconciling = false;
+    }
+};
+
+if (STORAGE_RECONCILE_INTERVAL_HOURS > 0) {
+    setInterval(() => {
+        if (!isDbConnected || isReconciling) return;
+        reconcilePhotoStorage({ dryRun: process.env.STORAGE_RECONCILE_DELETE !== 'true' })
+            .catch(err => console.error('Error in scheduled storage reconciliation:', err));
+    }, STORAGE_RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000);
+}
+
+// ===== Email notifications =====
+
+// SMTP server for notification emails; without SMTP_HOST notifications are only logged.
+// For local testing point it at a mail catcher such as Mailpit (SMTP_HOST=localhost SMTP_PORT=1025).
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const NOTIFY_FROM = process.env.NOTIFY_FROM || 'NCKU Campus Safety <no-reply@localhost>';
+// Public address of the site, for links in emails
+const APP_BASE_URL = (process.env.APP_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+const mailTransport = SMTP_HOST
+    ? nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+            : undefined
+    })
+    : null;
+
+const isValidEmail = (value) => /^[^\s@]+@[^\s@]+$/.test(String(value));
+
+// Notification events and the preference that switches each one off
+const NOTIFICATION_PREFERENCES = {
+    'assigned': 'assignments',
+    'status-changed': 'statusChanges',
+    'resolved': 'resolutions'
+};
+
+// Subject and opening lines of each notification email
+const NOTIFICATION_TEMPLATES = {
+    'new-report': ({ report }) => ({
+        subject: `[${report.urgency}] New ${report.type} report: ${report.issueCategory || 'no issue given'}`,
+        lines: [`A new ${report.urgency} urgency report was submitted.`]
+    }),
+    'assigned': ({ report, actorName, comment }) => ({
+        subject: `Report assigned: ${report.type} - ${report.issueCategory || 'no issue given'}`,
+        lines: [
+            `${actorName} assigned this report to ${[report.team && MAINTENANCE_TEAMS[report.team], report.assigneeName].filter(Boolean).join(' / ')}.`,
+            report.dueAt ? `It is due by ${formatEmailDate(report.dueAt)}.` : '',
+            comment ? `Comment: ${comment}` : ''
+        ]
+    }),
+    'status-changed': ({ report, actorName, previousStatus, comment }) => ({
+        subject: `Report ${report.status}: ${report.type} - ${report.issueCategory || 'no issue given'}`,
+        lines: [
+            `${actorName} changed the status from ${previousStatus} to ${report.status}.`,
+            comment ? `Comment: ${comment}` : ''
+        ]
+    }),
+    'resolved': ({ report, actorName, comment }) => ({
+        subject: `Report ${report.status === 'Rejected' ? 'rejected' : 'resolved'}: ${report.type} - ${report.issueCategory || 'no issue given'}`,
+        lines: [
+            `${actorName} marked this report as ${report.status}.`,
+            report.sla && report.sla.timeToResolveHours !== null
+                ? `It was closed ${report.sla.timeToResolveHours} hours after it was submitted.`
+                : '',
+            comment ? `Comment: ${comment}` : ''
+        ]
+    })
+};
+
+// Dates in emails are shown in campus time
+const formatEmailDate = (date) => new Date(date).toLocaleString('en-GB', { timeZone: 'Asia/Taipei' });
+
+// Plain-text email for a report event: the template's lines, then the report details and a link
+const renderNotification = (event, context) => {
+    const { report } = context;
+    const { subject, lines } = NOTIFICATION_TEMPLATES[event](context);
+    const zone = campusZones && campusZones.find(z => z.id === report.zoneId);
+    const text = [
+        ...lines.filter(Boolean),
+        '',
+        `Type: ${report.type}`,
+        `Issue: ${report.issueCategory || 'N/A'}`,
+        `Urgency: ${report.urgency}`,
+        `Status: ${report.status}`,
+        `Location: ${zone ? zone.name : 'Off campus'} (${report.lat}, ${report.lng})`,
+        `Reported: ${formatEmailDate(report.time)}`,
+        `Description: ${report.description || 'N/A'}`,
+        '',
+        `Open the staff map: ${APP_BASE_URL}/staff_management.html#report=${report._id}`,
+        '',
+        'You can change which emails you get under "Notifications" on the staff map.'
+    ].join('\n');
+    return { subject, text };
+};
+
+// Staff with an email address who want to hear about this event, other than whoever caused it.
+// New reports go to everyone whose urgency threshold they meet; the other events go to the
+// report's assignee, or its whole crew while nobody in particular is assigned.
+const notificationRecipients = async (event, report, actorId) => {
+    const staffRoles = ROLES.filter(role => ROLE_PERMISSIONS[role].includes('reports:edit'));
+    const filter = { role: { $in: staffRoles }, email: { $nin: ['', null] } };
+    
+    if (event === 'new-report') {
+        // Thresholds at or below the report's urgency; accounts without preferences use 'High'
+        const levels = URGENCY_LEVELS.slice(0, URGENCY_LEVELS.indexOf(report.urgency) + 1);
+        filter['notifications.newReports'] = { $in: report.urgency === 'High' ? [...levels, null] : levels };
+    } else {
+        filter[`notifications.${NOTIFICATION_PREFERENCES[event]}`] = { $ne: false };
+        if (report.assignee) {
+            filter._id = report.assignee;
+        } else if (report.team) {
+            filter.team = report.team;
+        } else {
+            return [];
+        }
+    }
+    
+    const users = await User.find(filter).select('email');
+    return users.filter(user => !actorId || !user._id.equals(actorId));
+};
+
+// Email everyone who wants to hear about a report event. Called after the response is sent and
+// only logs failures, so a broken mail server never fails a report change.
+const notifyReportEvent = async (event, report, context = {}) => {
+    try {
+        const recipients = await notificationRecipients(event, report, context.actor);
+        if (recipients.length === 0) return;
+        
+        const { subject, text } = renderNotification(event, { ...context, report });
+        if (!mailTransport) {
+            console.log(`Email notifications are off (no SMTP_HOST); skipped "${subject}" for ${recipients.length} staff member(s)`);
+            return;
+        }
+        
+        // One email per person so recipients don't see each other's addresses
+        for (const user of recipients) {
+            await mailTransport.sendMail({ from: NOTIFY_FROM, to: user.email, subject, text });
+        }
+        console.log(`Emailed "${subject}" to ${recipients.length} staff member(s)`);
+    } catch (err) {
+        console.error(`Error sending ${event} notifications:`, err);
+    }
+};
+
+// Status changes and shared staff comments of a report, oldest first, for its reporter
+const publicUpdates = (history) => (history || [])
+    .filter(entry => entry.action !== 'merged')
+    .map(entry => {
+        const statusChange = (entry.changes || []).find(change => change.field === 'status');
+        return {
+            at: entry.at,
+            status: entry.action === 'created' ? 'Pending' : (statusChange ? statusChange.to : null),
+            comment: entry.commentPublic ? entry.comment : null
+        };
+    })
+    .filter(update => update.status || update.comment)
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+// Tell reporters who asked to hear back that their report, or a report merged into it, is closed.
+// Their address is only kept for this and is removed once the email has gone out.
+const notifyReporters = async (report) => {
+    try {
+        const waiting = await Report.find({
+            $or: [{ _id: report._id }, { mergedInto: report._id }],
+            notifyReporter: true
+        }).select('+reporterEmail +trackingCode');
+        if (waiting.length === 0) return;
+        
+        if (!mailTransport) {
+            console.log(`Email notifications are off (no SMTP_HOST); not emailing ${waiting.length} reporter(s) about report ${report._id}`);
+            return;
+        }
+        
+        const withHistory = await Report.findById(report._id).select('+history');
+        const lastComment = publicUpdates(withHistory ? withHistory.history : [])
+            .filter(update => update.comment)
+            .pop();
+        
+        for (const reported of waiting) {
+            const text = [
+                'Thank you for reporting a problem on campus.',
+                `Your ${report.type} report (${report.issueCategory || 'no issue given'}) has been marked as ${report.status}.`,
+                lastComment ? `\nMessage from campus staff: ${lastComment.comment}` : '',
+                '',
+                `Tracking code: ${reported.trackingCode}`,
+                `See the details: ${APP_BASE_URL}/track.html?code=${reported.trackingCode}`
+            ].join('\n');
+            
+            await mailTransport.sendMail({
+                from: NOTIFY_FROM,
+                to: reported.reporterEmail,
+                subject: `Your campus safety report is ${report.status === 'Rejected' ? 'closed' : 'resolved'}`,
+                text
+            });
+            await Report.updateOne({ _id: reported._id }, { $set: { reporterEmail: null, notifyReporter: false } });
+        }
+        console.log(`Emailed ${waiting.length} reporter(s) about report ${report._id}`);
+    } catch (err) {
+        console.error('Error emailing reporters:', err);
+    }
+};
+
+// ===== Service-target escalation =====
+
+// How often open reports are checked against their targets
+const SLA_CHECK_INTERVAL_MINUTES = parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES) || 15;
+
+// Flag reports that have newly missed a target: each report is escalated once for missing the
+// acknowledge target and once for missing the resolve target
+const escalateOverdueReports = async () => {
+    const now = new Date();
+    const candidates = await Report.find({
+        ...overdueCondition(now),
+        mergedInto: null,
+        escalatedFor: { $ne: 'resolve' }
+    });
+    
+    for (const report of candidates) {
+        const stage = overdueStage(report, now);
+        if (!stage || report.escalatedFor === stage) continue;
+        
+        const due = stage === 'resolve' ? report.resolveDueAt : report.acknowledgeDueAt;
+        await Report.updateOne({ _id: report._id }, { $set: { escalatedFor: stage } });
+        await recordHistory(Report, report._id, {
+            action: 'escalated',
+            actorName: 'Service target monitor',
+            at: now,
+            changes: [{ field: 'escalatedFor', from: report.escalatedFor, to: stage }],
+            comment: `Missed the ${stage} target (due ${due.toISOString()})`
+        });
+        report.escalatedFor = stage;
+        
+        console.warn(`Report ${report._id} (${report.urgency}, ${report.type}) missed its ${stage} target`);
+        broadcastReportEvent('report-updated', report);
+    }
+};
+
+setInterval(() => {
+    if (!isDbConnected) return;
+    escalateOverdueReports()
+        .catch(err => console.error('Error checking overdue reports:', err));
+}, SLA_CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+// ===== Public comments and confirmations =====
+
+// Fixed-window request counts per client address and limit name, kept in memory
+const rateLimitWindows = new Map();
+
+// Allow each client at most `max` requests per window; over the limit answer 429 with Retry-After
+const rateLimit = ({ name, max, windowMs }) => (req, res, next) => {
+    const key = `${name}:${req.ip}`;
+    const now = Date.now();
+    let window = rateLimitWindows.get(key);
+    if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        rateLimitWindows.set(key, window);
+    }
+    
+    window.count++;
+    if (window.count > max) {
+        const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+        console.warn(`Rate limit "${name}" reached by ${req.ip}`);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: `Too many requests, please try again in ${Math.ceil(retryAfter / 60)} minute(s)` });
+    }
+    next();
+};
+
+// Forget finished windows so the map does not keep growing
+setInterval(() => {
+    const now = Date.now();
+    rateLimitWindows.forEach((window, key) => {
+        if (window.resetAt <= now) rateLimitWindows.delete(key);
+    });
+}, 10 * 60 * 1000);
+
+// Per client and hour
+const COMMENT_RATE_LIMIT = parseInt(process.env.COMMENT_RATE_LIMIT, 10) || 10;
+const CONFIRM_RATE_LIMIT = parseInt(process.env.CONFIRM_RATE_LIMIT, 10) || 30;
+const COMMENT_MAX_LENGTH = 500;
+
+// Secret for hashing client addresses; with a random one, people can confirm again after a restart
+const CLIENT_HASH_SECRET = process.env.CLIENT_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+const hashClient = (req) => {
+    return crypto.createHmac('sha256', CLIENT_HASH_SECRET).update(req.ip || '').digest('base64url');
+};
+
+// A comment as shown to the public, or to staff with its moderation state
+const commentForClient = (comment, forStaff) => {
+    const json = {
+        _id: comment._id,
+        body: comment.body,
+        authorName: comment.authorName,
+        staff: comment.staff,
+        createdAt: comment.createdAt
+    };
+    if (forStaff) json.hidden = comment.hidden;
+    return json;
+};
+
+// ===== Report export =====
+
+// How long the photo links of staff-only reports in an export keep working
+const EXPORT_PHOTO_LINK_DAYS = parseFloat(process.env.EXPORT_PHOTO_LINK_DAYS) || 30;
+
+// Absolute link to a report photo that keeps working outside the app. The photo route mints a
+// fresh storage URL on every load; staff-only reports get a signed link that expires.
+const exportPhotoUrl = (report, index) => {
+    const url = `${APP_BASE_URL}/reports/${report._id}/photos/${index}`;
+    if (report.visibility !== 'staff') return url;
+    const expires = Date.now() + EXPORT_PHOTO_LINK_DAYS * 24 * 60 * 60 * 1000;
+    return `${url}?expires=${expires}&signature=${signPhotoUrl(report._id, index, 'full', expires)}`;
+};
+
+// One report as a flat record of the export columns
+const exportRecord = (report) => {
+    const zone = campusZones && campusZones.find(z => z.id === report.zoneId);
+    const date = (value) => value ? value.toISOString() : null;
+    return {
+        id: String(report._id),
+        type: report.type,
+        issueCategory: report.issueCategory || null,
+        status: report.status,
+        urgency: report.urgency,
+        time: date(report.time),
+        submittedAt: date(submissionTime(report)),
+        lat: report.lat,
+        lng: report.lng,
+        zoneId: report.zoneId,
+        zone: zone ? zone.name : null,
+        description: report.description || null,
+        visibility: report.visibility,
+        confirmations: report.confirmations || 0,
+        commentCount: report.commentCount || 0,
+        team: report.team,
+        assigneeName: report.assigneeName,
+        dueAt: date(report.dueAt),
+        acknowledgeDueAt: date(report.acknowledgeDueAt),
+        resolveDueAt: date(report.resolveDueAt),
+        acknowledgedAt: date(report.acknowledgedAt),
+        resolvedAt: date(report.resolvedAt),
+        overdue: overdueStage(report),
+        photos: report.photos.map((photo, index) => exportPhotoUrl(report, index))
+    };
+};
+
+// ===== Report import =====
+
+// Size and row limits of an import file
+const IMPORT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_FILE_BYTES }
+}).single('file');
+
+// Fields read from each row; the rest of a row is ignored
+const IMPORT_FIELDS = ['externalId', 'lat', 'lng', 'type', 'issueCategory', 'time', 'description', 'urgency'];
+// Fields a re-import may change on a report it created earlier; status and assignment stay with staff
+const IMPORT_TRACKED_FIELDS = ['type', 'issueCategory', 'time', 'description', 'urgency', 'lat', 'lng'];
+
+// Work out what importing each row would do: 'create', 'update', 'unchanged' or 'invalid'.
+// Rows are checked like a new report from the map, boundary included but without the age limit, and matched on externalId.
+const planImport = async (records) => {
+    const seen = new Set();
+    const rows = records.map(({ row, fields, geometryError }) => {
+        // GeoJSON properties may be numbers; CSV cells are always text
+        const payload = {};
+        IMPORT_FIELDS.forEach(field => {
+            const value = fields[field];
+            payload[field] = value === undefined || value === null ? '' : (typeof value === 'number' ? value : String(value));
+        });
+        // Survey rows may describe issues recorded long ago, so the age limit for new reports does not apply
+        const { values, errors } = validateReportPayload(payload, { zones: campusZones });
+
+        const externalId = String(payload.externalId).trim();
+        if (!externalId) {
+            errors.externalId = 'externalId is required';
+        } else if (externalId.length > 100) {
+            errors.externalId = 'externalId must be at most 100 characters';
+        } else if (seen.has(externalId)) {
+            errors.externalId = `externalId "${externalId}" appears more than once in the file`;
+        }
+        seen.add(externalId);
+        if (geometryError) {
+            delete errors.lat;
+            delete errors.lng;
+            errors.location = geometryError;
+        }
+
+        return { row, externalId, values, errors };
+    });
+
+    const ids = rows.filter(row => row.externalId).map(row => row.externalId);
+    const existing = await Report.find({ externalId: { $in: ids } });
+    const existingById = new Map(existing.map(report => [report.externalId, report]));
+
+    return rows.map(({ row, externalId, values, errors }) => {
+        const report = existingById.get(externalId);
+        if (Object.keys(errors).length > 0) {
+            return { row, externalId, action: 'invalid', errors };
+        }
+        if (!report) {
+            return { row, externalId, action: 'create', values };
+        }
+        const after = { ...values, description: values.description || '' };
+        const changes = diffReportFields(report, after, IMPORT_TRACKED_FIELDS);
+        return {
+            row,
+            externalId,
+            reportId: report._id,
+            action: changes.length > 0 ? 'update' : 'unchanged',
+            values,
+            changes,
+            report
+        };
+    });
+};
+
+// Preview of an import plan for the staff page
+const summarizeImport = (plan) => {
+    const counts = { create: 0, update: 0, unchanged: 0, invalid: 0 };
+    plan.forEach(row => counts[row.action]++);
+    return {
+        total: plan.length,
+        counts,
+        rows: plan.map(({ row, externalId, action, errors, changes, reportId }) => ({
+            row, externalId, action, errors, changes, reportId
+        }))
+    };
+};
+
+// Write the creates and updates of an import plan in one bulk write. Invalid rows are skipped.
+const applyImport = async (plan, user, filename) => {
+    const actor = { actor: user._id, actorName: user.displayName || user.username, at: new Date() };
+    const comment = `Imported from ${filename}`;
+
+    const operations = plan.map(({ action, externalId, values, changes, report }) => {
+        if (action === 'create') {
+            const { lat, lng, ...fields } = values;
+            const zone = findZone(campusZones, lat, lng);
+            const document = {
+                ...fields,
+                _id: new mongoose.Types.ObjectId(),
+                externalId,
+                location: toPoint(lat, lng),
+                zoneId: zone ? zone.id : null,
+                description: values.description || '',
+                status: 'Pending',
+                // The survey time, so deadlines count from when the problem was reported rather than imported
+                submittedAt: values.time || new Date(),
+                history: [{ action: 'created', ...actor, comment }]
+            };
+            // Bulk writes skip the save hook that sets the service-target deadlines
+            Object.assign(document, slaDeadlinesFor(document, slaTargets));
+            return { insertOne: { document } };
+        }
+        if (action === 'update') {
+            const update = {};
+            changes.forEach(({ field }) => {
+                if (field !== 'lat' && field !== 'lng') update[field] = values[field] === undefined ? '' : values[field];
+            });
+            if (changes.some(({ field }) => field === 'lat' || field === 'lng')) {
+                const zone = findZone(campusZones, values.lat, values.lng);
+                update.location = toPoint(values.lat, values.lng);
+                update.zoneId = zone ? zone.id : null;
+            }
+            if (update.type !== undefined || update.urgency !== undefined) {
+                Object.assign(update, slaDeadlinesFor({ _id: report._id, submittedAt: report.submittedAt, type: values.type, urgency: values.urgency }, slaTargets), { escalatedFor: null });
+            }
+            return {
+                updateOne: {
+                    filter: { _id: report._id },
+                    update: { $set: update, $push: { history: { action: 'updated', ...actor, changes, comment } } }
+                }
+            };
+        }
+        return null;
+    }).filter(Boolean);
+
+    if (operations.length > 0) {
+        await Report.bulkWrite(operations, { ordered: false });
+    }
+
+    // Let open maps pick up the new and changed reports
+    const written = plan.filter(row => row.action === 'create' || row.action === 'update');
+    const reports = await Report.find({ externalId: { $in: written.map(row => row.externalId) } });
+    const createdIds = new Set(plan.filter(row => row.action === 'create').map(row => row.externalId));
+    reports.forEach(report => {
+        broadcastReportEvent(createdIds.has(report.externalId) ? 'report-created' : 'report-updated', report);
+    });
+};
+
+// ===== Report statistics =====
+
+// Period GET /stats covers when neither from nor to is given
+const STATS_DEFAULT_WEEKS = parseInt(process.env.STATS_DEFAULT_WEEKS, 10) || 26;
+// Weeks start on Monday in campus time
+const STATS_TIMEZONE = process.env.STATS_TIMEZONE || 'Asia/Taipei';
+const STATS_TOP_SUBTYPES = 10;
+
+// Aggregation expressions shared by the statistics pipeline. Weeks are keyed by the local date
+// of their Monday ("2024-03-04"), which stays the same whatever daylight saving does to the hour.
+const weekOf = (date) => ({
+    $dateToString: {
+        format: '%Y-%m-%d',
+        date: { $dateTrunc: { date, unit: 'week', timezone: STATS_TIMEZONE, startOfWeek: 'monday' } },
+        timezone: STATS_TIMEZONE
+    }
+});
+const typeBucket = { $cond: [{ $in: ['$type', STANDARD_REPORT_TYPES] }, '$type', 'Other'] };
+const countOpen = { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } };
+
+// Aggregate the reports matching a filter into the dashboard statistics in one database round trip
+const buildReportStats = async (filter) => {
+    const [facets] = await Report.aggregate([
+        { $match: filter },
+        {
+            $facet: {
+                totals: [
+                    { $group: { _id: null, reports: { $sum: 1 }, open: countOpen } }
+                ],
+                openedByWeek: [
+                    { $match: { time: { $ne: null } } },
+                    { $group: { _id: { week: weekOf('$time'), type: typeBucket }, count: { $sum: 1 } } }
+                ],
+                closedByWeek: [
+                    { $match: { status: { $in: RESOLVING_STATUSES }, resolvedAt: { $ne: null } } },
+                    { $group: { _id: { week: weekOf('$resolvedAt'), status: '$status' }, count: { $sum: 1 } } }
+                ],
+                resolveHours: [
+                    { $match: { status: 'Resolved', resolvedAt: { $ne: null } } },
+                    {
+                        $group: {
+                            _id: typeBucket,
+                            hours: { $push: { $divide: [{ $subtract: ['$resolvedAt', '$submittedAt'] }, 60 * 60 * 1000] } }
+                        }
+                    }
+                ],
+                subtypes: [
+                    { $group: { _id: { type: '$type', issueCategory: '$issueCategory' }, count: { $sum: 1 }, open: countOpen } },
+                    { $sort: { count: -1, '_id.type': 1 } },
+                    { $limit: STATS_TOP_SUBTYPES }
+                ],
+                zones: [
+                    { $group: { _id: '$zoneId', count: { $sum: 1 }, open: countOpen } },
+                    { $sort: { count: -1 } }
+                ]
+            }
+        }
+    ]);
+
+    const weeks = weekRange([...facets.openedByWeek, ...facets.closedByWeek].map(row => row._id.week));
+    const emptyTypes = () => Object.fromEntries([...STANDARD_REPORT_TYPES, 'Other'].map(type => [type, 0]));
+
+    const weekly = weeks.map(week => ({ week, total: 0, byType: emptyTypes() }));
+    const trend = weeks.map(week => ({ week, opened: 0, resolved: 0, rejected: 0, open: 0 }));
+    facets.openedByWeek.forEach(({ _id, count }) => {
+        const index = weeks.indexOf(_id.week);
+        weekly[index].byType[_id.type] += count;
+        weekly[index].total += count;
+        trend[index].opened += count;
+    });
+    facets.closedByWeek.forEach(({ _id, count }) => {
+        const entry = trend[weeks.indexOf(_id.week)];
+        entry[_id.status === 'Resolved' ? 'resolved' : 'rejected'] += count;
+    });
+    // Running count of the reports in the period still open at the end of each week
+    trend.reduce((open, entry) => {
+        entry.open = open + entry.opened - entry.resolved - entry.rejected;
+        return entry.open;
+    }, 0);
+
+    const byType = {};
+    facets.resolveHours.forEach(({ _id, hours }) => {
+        byType[_id] = { medianHours: median(hours), count: hours.length };
+    });
+    const allHours = facets.resolveHours.flatMap(row => row.hours);
+
+    const totals = facets.totals[0] || { reports: 0, open: 0 };
+    return {
+        totals: { reports: totals.reports, open: totals.open },
+        weekly,
+        trend,
+        timeToResolve: { medianHours: median(allHours), count: allHours.length, byType },
+        topSubtypes: facets.subtypes.map(({ _id, count, open }) => ({
+            type: _id.type,
+            issueCategory: _id.issueCategory || null,
+            count,
+            open
+        })),
+        zones: facets.zones.map(({ _id, count, open }) => {
+            const zone = campusZones && campusZones.find(z => z.id === _id);
+            return {
+                zoneId: _id || null,
+                name: zone ? zone.name : (_id ? _id : 'Outside any zone'),
+                kind: zone ? zone.kind : null,
+                parent: zone ? zone.parent : null,
+                count,
+                open
+            };
+        })
+    };
+};
+
+// ===== Real-time report events (Server-Sent Events) =====
+
+// Open GET /events connections; staff clients also receive staff-only reports
+const eventClients = new Set();
+let lastEventId = 0;
+
+// Comment line sent regularly so proxies don't close idle connections
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+
+const sendEvent = (client, event, data, id) => {
+    client.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Tell open maps that a report was created, updated or deleted. Reports a client may not
+// see (staff-only for the public, merged for everyone) arrive as deletions.
+const broadcastReportEvent = async (event, report) => {
+    if (eventClients.size === 0) return;
+    
+    try {
+        const id = ++lastEventId;
+        const removal = { _id: String(report._id) };
+        
+        if (event === 'report-deleted' || report.mergedInto) {
+            eventClients.forEach(client => sendEvent(client, 'report-deleted', removal, id));
+            return;
+        }
+        
+        const json = await withPhotoUrls(report);
+        const hidden = report.visibility === 'staff';
+        eventClients.forEach(client => {
+            if (hidden && !client.staff) {
+                sendEvent(client, 'report-deleted', removal, id);
+            } else {
+                sendEvent(client, event, json, id);
+            }
+        });
+    } catch (err) {
+        console.error(`Error broadcasting ${event}:`, err);
+    }
+};
+
+setInterval(() => {
+    eventClients.forEach(client => client.res.write(': ping\n\n'));
+}, EVENT_HEARTBEAT_MS);
+
+// Serve static files from public directory (for frontend)
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Routes with connection check
+app.get('/reports', optionalAuth, async (req, res) => {
+    try {
+        if (!isDbConnected) {
+            return res.status(503).json({ 
+                error: 'Database service unavailable',
+                message: 'Please try again in a few moments'
+            });
+        }
+        
+        const result = await listReports(buildReportFilter(req.query, { includeHidden: canSeeHiddenReports(req), user: req.user }), req.query);
+        console.log(`Successfully fetched ${result.reports.length}${result.total === null ? '' : ` of ${result.total}`} reports`);
+        res.json(result);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching reports:', error);
+        res.status(500).json({ 
+            error: 'Error fetching reports', 
+            details: error.message,
+            message: 'Please try again in a few moments'
+        });
+    }
+});
+
+// Download every report matching the GET /reports filters as CSV, GeoJSON or KML
+app.get('/reports/export', checkDbConnection, requireAuth, requirePermission('reports:edit'), async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const writer = EXPORT_WRITERS[format];
+    if (!writer) {
+        return res.status(400).json({ error: `Unknown format "${req.query.format}". Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    let filter, sort;
+    try {
+        filter = buildReportFilter(req.query, { includeHidden: true, user: req.user });
+        sort = parseReportSort(req.query.sort);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    const filename = `reports-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+    const cursor = Report.find(filter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .cursor();
+    req.on('close', () => cursor.close().catch(() => {}));
+
+    let count = 0;
+    try {
+        res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.set('Cache-Control', 'private, no-store');
+        res.write(writer.head());
+        for await (const report of cursor) {
+            res.write(writer.record(exportRecord(report), count));
+            count++;
+        }
+        res.end(writer.tail());
+        console.log(`User "${req.user.username}" exported ${count} reports as ${format}`);
+    } catch (error) {
+        console.error('Error exporting reports:', error);
+        // Once the file has started the only way to signal the failure is to cut it short
+        res.destroy(error);
+    }
+});
+
+// Dashboard statistics of the reports matching the GET /reports filters.
+// Without from or to they cover the last STATS_DEFAULT_WEEKS weeks.
+app.get('/stats', checkDbConnection, requireAuth, requirePermission('reports:edit'), async (req, res) => {
+    try {
+        const query = { ...req.query };
+        if (!query.from && !query.to) {
+            query.from = new Date(Date.now() - STATS_DEFAULT_WEEKS * WEEK_MS).toISOString();
+        }
+        const stats = await buildReportStats(buildReportFilter(query, { includeHidden: true, user: req.user }));
+        res.json({ from: query.from || null, to: query.to || null, timezone: STATS_TIMEZONE, ...stats });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error building statistics:', error);
+        res.status(500).json({ error: 'Error building statistics', details: error.message });
+    }
+});
+
+// Import survey reports from a CSV or GeoJSON file (multipart field "file").
+// With dryRun=true nothing is written and the response previews what each row would do.
+app.post('/reports/import', checkDbConnection, requireAuth, requirePermission('reports:import'), (req, res) => {
+    importUpload(req, res, async function(err) {
+        if (err) {
+            console.error('Error receiving import file:', err);
+            return res.status(400).json({ error: `Import file rejected: ${err.message}` });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'Attach a CSV or GeoJSON file as "file"' });
+        }
+
+        const extension = path.extname(req.file.originalname).toLowerCase();
+        const format = req.query.format || (extension === '.csv' ? 'csv' : ['.geojson', '.json'].includes(extension) ? 'geojson' : null);
+        if (!['csv', 'geojson'].includes(format)) {
+            return res.status(400).json({ error: 'Unknown file format. Upload a .csv or .geojson file, or pass format=csv|geojson' });
+        }
+
+        try {
+            const plan = await planImport(parseImportFile(req.file.buffer, format, IMPORT_MAX_ROWS));
+            const summary = summarizeImport(plan);
+
+            if (req.query.dryRun === 'true') {
+                console.log(`Previewed import of ${req.file.originalname}:`, summary.counts);
+                return res.json({ dryRun: true, ...summary });
+            }
+
+            await applyImport(plan, req.user, req.file.originalname);
+            console.log(`User "${req.user.username}" imported ${req.file.originalname}:`, summary.counts);
+            res.json({ dryRun: false, ...summary });
+        } catch (error) {
+            if (error.status === 400) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'Some rows were imported by someone else at the same time. Preview the file again.' });
+            }
+            console.error('Error importing reports:', error);
+            res.status(500).json({ error: 'Error importing reports', details: error.message });
+        }
+    });
+});
+
+// Authentication routes
+app.post('/auth/login', checkDbConnection, async (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+        const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+        const valid = user ? await verifyPassword(String(password), user.passwordHash) : false;
+
+        if (!valid) {
+            console.log(`Failed login attempt for user "${username}"`);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+        await Session.create({ tokenHash: hashToken(token), user: user._id, expiresAt });
+
+        console.log(`User "${user.username}" logged in`);
+        res.json({ token, expiresAt, user });
+    } catch (error) {
+        console.error('Error during login:', error);
+        res.status(500).json({ error: 'Error during login', details: error.message });
+    }
+});
+
+app.post('/auth/logout', checkDbConnection, requireAuth, async (req, res) => {
+    try {
+        await Session.deleteOne({ _id: req.session._id });
+        console.log(`User "${req.user.username}" logged out`);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Error during logout:', error);
+        res.status(500).json({ error: 'Error during logout' });
+    }
+});
+
+app.get('/auth/me', checkDbConnection, requireAuth, (req, res) => {
+    res.json({ user: req.user, expiresAt: req.session.expiresAt });
+});
+
+// The logged-in user's notification email and preferences
+app.get('/auth/me/notifications', checkDbConnection, requireAuth, (req, res) => {
+    res.json({
+        email: req.user.email || '',
+        notifications: req.user.notifications,
+        emailEnabled: !!mailTransport
+    });
+});
+
+app.put('/auth/me/notifications', checkDbConnection, requireAuth, async (req, res) => {
+    const { email, notifications = {} } = req.body || {};
+    if (!notifications || typeof notifications !== 'object' || Array.isArray(notifications)) {
+        return sendValidationError(res, { notifications: 'notifications must be an object' });
+    }
+    const errors = {};
+    
+    if (email && !isValidEmail(email)) {
+        errors.email = 'Email address is not valid';
+    }
+    if (notifications.newReports !== undefined && ![...URGENCY_LEVELS, 'none'].includes(notifications.newReports)) {
+        errors.newReports = `newReports must be one of: ${[...URGENCY_LEVELS, 'none'].join(', ')}`;
+    }
+    Object.values(NOTIFICATION_PREFERENCES).forEach(key => {
+        if (notifications[key] !== undefined && typeof notifications[key] !== 'boolean') {
+            errors[key] = `${key} must be true or false`;
+        }
+    });
+    if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
+    try {
+        const user = req.user;
+        if (email !== undefined) user.email = email || '';
+        ['newReports', ...Object.values(NOTIFICATION_PREFERENCES)].forEach(key => {
+            if (notifications[key] !== undefined) user.notifications[key] = notifications[key];
+        });
+        await user.save();
+        
+        console.log(`User "${user.username}" updated their notification preferences`);
+        res.json({ email: user.email, notifications: user.notifications, emailEnabled: !!mailTransport });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({ error: 'Error updating notification preferences', details: error.message });
+    }
+});
+
+// Send a test email to the logged-in user, to check the SMTP settings
+app.post('/auth/me/notifications/test', checkDbConnection, requireAuth, async (req, res) => {
+    if (!mailTransport) {
+        return res.status(503).json({ error: 'Email notifications are not configured (SMTP_HOST is not set)' });
+    }
+    if (!req.user.email) {
+        return res.status(400).json({ error: 'Set an email address first' });
+    }
+    
+    try {
+        await mailTransport.sendMail({
+            from: NOTIFY_FROM,
+            to: req.user.email,
+            subject: 'NCKU Campus Safety test notification',
+            text: `This is a test email for ${req.user.displayName || req.user.username}. Notifications are working.`
+        });
+        console.log(`Sent a test email to ${req.user.email}`);
+        res.json({ message: `Test email sent to ${req.user.email}` });
+    } catch (error) {
+        console.error('Error sending test email:', error);
+        res.status(502).json({ error: 'Could not send the test email', details: error.message });
+    }
+});
+
+// Crews reports can be assigned to
+app.get('/teams', (req, res) => {
+    res.json(TEAM_IDS.map(id => ({ id, name: MAINTENANCE_TEAMS[id] })));
+});
+
+// Staff who can be given a report, for the assignment form
+app.get('/users/assignable', checkDbConnection, requireAuth, requirePermission('reports:assign'), async (req, res) => {
+    try {
+        const roles = ROLES.filter(role => ROLE_PERMISSIONS[role].includes('reports:edit'));
+        const users = await User.find({ role: { $in: roles } })
+            .select('username displayName role team')
+            .sort({ team: 1, username: 1 });
+        res.json(users);
+    } catch (error) {
+        console.error('Error fetching assignable users:', error);
+        res.status(500).json({ error: 'Error fetching assignable users' });
+    }
+});
+
+// Staff account management (admin only)
+app.get('/users', checkDbConnection, requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const users = await User.find().sort({ username: 1 });
+        res.json(users);
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Error fetching users' });
+    }
+});
+
+app.post('/users', checkDbConnection, requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const { username, password, displayName, role, team, email } = req.body || {};
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+    if (email && !isValidEmail(email)) {
+        return res.status(400).json({ error: 'Email address is not valid' });
+    }
+    if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (team && !TEAM_IDS.includes(team)) {
+        return res.status(400).json({ error: `Team must be one of: ${TEAM_IDS.join(', ')}` });
+    }
+
+    try {
+        const user = await User.create({
+            username,
+            passwordHash: await hashPassword(String(password)),
+            displayName: displayName || '',
+            role: role || 'staff',
+            team: team || null,
+            email: email || ''
+        });
+        console.log(`User "${req.user.username}" created account "${user.username}" (${user.role})`);
+        res.status(201).json(user);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Error creating user', details: error.message });
+    }
+});
+
+app.put('/users/:id', checkDbConnection, requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const { password, displayName, role, team, email } = req.body || {};
+
+    if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (email && !isValidEmail(email)) {
+        return res.status(400).json({ error: 'Email address is not valid' });
+    }
+    if (team && !TEAM_IDS.includes(team)) {
+        return res.status(400).json({ error: `Team must be one of: ${TEAM_IDS.join(', ')}` });
+    }
+
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (role) user.role = role;
+        if (displayName !== undefined) user.displayName = displayName;
+        // An empty team takes the account off its crew
+        if (team !== undefined) user.team = team || null;
+        if (email !== undefined) user.email = email || '';
+        if (password) {
+            user.passwordHash = await hashPassword(String(password));
+            // Changing a password signs the account out everywhere
+            await Session.deleteMany({ user: user._id });
+        }
+
+        await user.save();
+        console.log(`User "${req.user.username}" updated account "${user.username}"`);
+        res.json(user);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Error updating user', details: error.message });
+    }
+});
+
+// Reload the campus region file on demand (it is also reloaded when the file changes)
+app.post('/admin/campus-region/reload', checkDbConnection, requireAuth, requirePermission('system:manage'), (req, res) => {
+    if (!loadCampusRegion()) {
+        return res.status(500).json({ error: 'Error loading campus region, keeping the previous one' });
+    }
+    tagReportZones();
+    res.json({ message: 'Campus region reloaded', zones: campusZones.length });
+});
+
+// Find (and unless dryRun is false, only report) uploaded photos no report refers to
+app.post('/admin/storage/reconcile', checkDbConnection, requireAuth, requirePermission('system:manage'), async (req, res) => {
+    const dryRun = !(req.body && req.body.dryRun === false);
+    
+    try {
+        res.json(await reconcilePhotoStorage({ dryRun }));
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error reconciling photo storage:', error);
+        res.status(500).json({ error: 'Error reconciling photo storage', details: error.message });
+    }
+});
+
+// Stream report-created, report-updated and report-deleted events to an open map
+app.get('/events', optionalAuth, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Browsers reconnect after this many milliseconds when the connection drops
+    res.write('retry: 5000\n\n');
+    
+    const client = { res, staff: canSeeHiddenReports(req) };
+    eventClients.add(client);
+    console.log(`Event stream opened (${eventClients.size} open)`);
+    
+    req.on('close', () => {
+        eventClients.delete(client);
+        console.log(`Event stream closed (${eventClients.size} open)`);
+    });
+});
+
+// List the campus zones reports can be tagged with and filtered by
+app.get('/zones', (req, res) => {
+    res.json((campusZones || []).map(({ id, name, kind, parent }) => ({ id, name, kind, parent })));
+});
+
+// Reports within a distance of a point, nearest first, with their distance in meters
+app.get('/reports/near', checkDbConnection, optionalAuth, async (req, res) => {
+    try {
+        const { lat, lng, radius } = parseNearQuery(req.query);
+        const limit = parseLimit(req.query.limit);
+        
+        const results = await Report.aggregate([
+            {
+                $geoNear: {
+                    near: toPoint(lat, lng),
+                    distanceField: 'distance',
+                    maxDistance: radius,
+                    spherical: true,
+                    query: buildReportFilter(req.query, { includeHidden: canSeeHiddenReports(req), user: req.user })
+                }
+            },
+            { $limit: limit },
+            // Aggregates load the fields the schema hides with select: false
+            { $project: { history: 0, ...Object.fromEntries(PRIVATE_REPORT_FIELDS.map(field => [field, 0])) } }
+        ]);
+        
+        const reports = await Promise.all(results.map(async (result) => ({
+            ...(await withPhotoUrls(Report.hydrate(result))),
+            distance: Math.round(result.distance * 10) / 10
+        })));
+        
+        res.json({ reports, total: reports.length });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching nearby reports:', error);
+        res.status(500).json({ error: 'Error fetching nearby reports', details: error.message });
+    }
+});
 
-// Create multer upload middleware
-const upload = multer({ 
-    storage: multerStorage,
-    fileFilter: fileFilter,
-    limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
+// Reports inside a GeoJSON polygon sent as the request body, paginated like GET /reports
+app.post('/reports/within', checkDbConnection, optionalAuth, async (req, res) => {
+    try {
+        const geometry = parsePolygonBody(req.body);
+        const filter = {
+            $and: [
+                buildReportFilter(req.query, { includeHidden: canSeeHiddenReports(req), user: req.user }),
+                { location: { $geoWithin: { $geometry: geometry } } }
+            ]
+        };
+        res.json(await listReports(filter, req.query));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        // MongoDB rejects malformed polygons with a BadValue error
+        if (error.code === 2) {
+            return res.status(400).json({ error: `Invalid polygon: ${error.message}` });
+        }
+        console.error('Error fetching reports within polygon:', error);
+        res.status(500).json({ error: 'Error fetching reports within polygon', details: error.message });
     }
-}).single('photo');
+});
 
-// Function to upload to Google Cloud Storage
-const uploadToGCS = (file, typeDir) => {
-    return new Promise((resolve, reject) => {
-        if (!file) {
-            resolve(null);
-            return;
+// Read a photo's EXIF capture time and position so the report form can be pre-filled.
+// Nothing is stored, and the position is only returned to the person who uploaded the photo.
+app.post('/photos/metadata', (req, res) => {
+    uploadSinglePhoto(req, res, async function(err) {
+        if (err) {
+            console.error('Error during photo metadata upload:', err);
+            return res.status(400).json({ error: `Photo upload rejected: ${err.message}` });
         }
-
+        if (!req.file) {
+            return res.status(400).json({ error: 'A photo is required' });
+        }
+        
         try {
-            // Format for GCS folder structure
-            const standardTypes = ['Road', 'Accessible Ramp', 'Street Light'];
-            let folderName = 'Other';
-            
-            if (typeDir && typeof typeDir === 'string') {
-                folderName = typeDir.toLowerCase().replace(/ /g, '_');
-            }
-            
-            // Create a unique filename with date
-            const dateStr = new Date().toISOString().replace(/:/g, '-').split('.')[0];
-            const fileExt = path.extname(file.originalname) || '.jpg';
-            const filename = `${dateStr}_${path.basename(file.originalname, fileExt)}${fileExt}`;
-            
-            // Full path in the bucket
-            const filePath = `uploads/${folderName}/${filename}`;
-            
-            // Create a file object in the bucket
-            const gcsFile = bucket.file(filePath);
-            
-            // Create a write stream without ACL (works with Uniform bucket-level access)
-            const stream = gcsFile.createWriteStream({
-                metadata: {
-                    contentType: file.mimetype
-                }
-                // Remove predefinedAcl: 'publicRead' - it's causing the error
-            });
-            
-            // Handle errors
-            stream.on('error', (err) => {
-                console.error('GCS upload error:', err);
-                reject(err);
+            const metadata = await sharp(req.file.buffer).metadata();
+            const exif = readPhotoExif(metadata.exif);
+            res.json({
+                ...exif,
+                insideCampus: exif.lat !== null && isInsideCampus(campusZones, exif.lat, exif.lng)
             });
-            
-            // Handle successful upload
-            stream.on('finish', async () => {
-                try {
-                    // Generate a URL that's valid for 10 years
-                    const [url] = await gcsFile.getSignedUrl({
-                        action: 'read',
-                        expires: Date.now() + 1000 * 60 * 60 * 24 * 365 * 10 // 10 years in milliseconds
-                    });
-                    
-                    console.log('File uploaded to GCS with signed URL:', url);
-                    resolve(url);
-                } catch (err) {
-                    console.error('Error generating signed URL:', err);
-                    
-                    // Fallback to direct URL (this may not work if bucket is not public)
-                    const publicUrl = `https://storage.googleapis.com/${bucketName}/${filePath}`;
-                    console.log('Falling back to public URL:', publicUrl);
-                    resolve(publicUrl);
-                }
-            });
-            
-            // Send the file buffer to GCS
-            stream.end(file.buffer);
-        } catch (err) {
-            console.error('Error in GCS upload function:', err);
-            reject(err);
+        } catch (error) {
+            console.error('Error reading photo metadata:', error);
+            res.status(400).json({ error: 'The file could not be read as an image' });
         }
     });
-};
-
-// Serve static files from uploads directory (for local development)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// Serve static files from public directory (for frontend)
-app.use(express.static(path.join(__dirname, 'public')));
+});
 
-// Helper function to delete a file
-const deleteFile = (filePath) => {
-    try {
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            console.log('Deleted file:', filePath);
-        }
-    } catch (err) {
-        console.error('Error deleting file:', err);
+// Progress of a report for whoever holds its tracking code. Shows the status, status changes
+// and comments staff chose to share; a report merged into another shows that report's progress.
+app.get('/track/:code', checkDbConnection, async (req, res) => {
+    const code = normalizeTrackingCode(req.params.code);
+    if (!code) {
+        return res.status(400).json({ error: 'Tracking codes have 8 letters and digits, like K7QX-M3PA' });
     }
-};
-
-// Routes with connection check
-app.get('/reports', async (req, res) => {
+    
     try {
-        if (!isDbConnected) {
-            return res.status(503).json({ 
-                error: 'Database service unavailable',
-                message: 'Please try again in a few moments'
-            });
+        const report = await Report.findOne({ trackingCode: code }).select('+history');
+        if (!report) {
+            return res.status(404).json({ error: 'No report has this tracking code' });
         }
-        const reports = await Report.find();
-        console.log(`Successfully fetched ${reports.length} reports`);
-        res.json(reports);
-    } catch (error) {
-        console.error('Error fetching reports:', error);
-        res.status(500).json({ 
-            error: 'Error fetching reports', 
-            details: error.message,
-            message: 'Please try again in a few moments'
+        
+        let updates = publicUpdates(report.history);
+        let current = report;
+        if (report.mergedInto) {
+            const canonical = await Report.findById(report.mergedInto).select('+history');
+            if (canonical) {
+                // Progress of the report it was merged into, from the merge onwards
+                const mergedAt = report.history.filter(entry => entry.action === 'merged').map(entry => entry.at).pop();
+                updates = [
+                    ...updates.filter(update => update.status !== 'Rejected'),
+                    ...publicUpdates(canonical.history).filter(update => !mergedAt || update.at >= mergedAt)
+                ];
+                current = canonical;
+            }
+        }
+        
+        const zone = campusZones && campusZones.find(z => z.id === report.zoneId);
+        res.json({
+            trackingCode: code,
+            type: report.type,
+            issueCategory: report.issueCategory,
+            urgency: report.urgency,
+            time: report.time,
+            submittedAt: submissionTime(report),
+            zone: zone ? zone.name : null,
+            merged: current !== report,
+            status: current.status,
+            resolvedAt: current.resolvedAt,
+            updates
         });
+    } catch (error) {
+        console.error('Error looking up tracking code:', error);
+        res.status(500).json({ error: 'Error looking up the report' });
     }
 });
 
@@ -320,55 +2802,89 @@ app.post('/reports', checkDbConnection, async (req, res) => {
     
     upload(req, res, async function(err) {
         if (err instanceof multer.MulterError) {
+            // Too many or too large photos
             console.error('Multer error during upload:', err);
-            return res.status(500).json({ error: `Multer upload error: ${err.message}` });
+            return sendValidationError(res, { photos: `Photo upload rejected: ${err.message}` });
         } else if (err) {
             console.error('Unknown error during upload:', err);
             return res.status(500).json({ error: `Unknown upload error: ${err.message}` });
         }
         
-        // Log request body and file
-        console.log('Request body:', req.body);
-        console.log('Uploaded file:', req.file);
+        // Log request body and files, without the reporter's contact address
+        console.log('Request body:', { ...req.body, ...(req.body.contactEmail ? { contactEmail: '[redacted]' } : {}) });
+        console.log('Uploaded files:', (req.files || []).map(file => `${file.originalname} (${file.size} bytes)`));
+        
+        const { values, errors } = validateReportPayload(req.body, {
+            zones: campusZones,
+            maxAgeDays: REPORT_MAX_AGE_DAYS
+        });
+        
+        // Optional: email the reporter when the report is resolved
+        const notifyReporter = req.body.notifyWhenResolved === 'true';
+        const contactEmail = String(req.body.contactEmail || '').trim().toLowerCase();
+        if (notifyReporter && !isValidEmail(contactEmail)) {
+            errors.contactEmail = 'A valid email address is needed to be told when the report is resolved';
+        }
+        
+        if (Object.keys(errors).length > 0) {
+            console.log('Rejected invalid report:', errors);
+            return sendValidationError(res, errors);
+        }
         
         try {
+            // Offer the submitter existing reports of the same problem before creating another one
+            const duplicates = await findDuplicateCandidates(values);
+            if (duplicates.length > 0 && req.body.confirmNew !== 'true') {
+                console.log(`Report looks like a duplicate of ${duplicates.map(d => d._id).join(', ')}`);
+                return res.status(409).json({
+                    error: 'Possible duplicate',
+                    message: 'An open report of the same problem already exists nearby',
+                    duplicates: await Promise.all(duplicates.map(withPhotoUrls))
+                });
+            }
+            
             // Create a new report
+            const { lat, lng, ...fields } = values;
+            const zone = findZone(campusZones, lat, lng);
             const reportData = {
-                lat: parseFloat(req.body.lat),
-                lng: parseFloat(req.body.lng),
-                type: req.body.type,
-                time: new Date(req.body.time || Date.now()),
-                status: req.body.status || 'Pending',
-                description: req.body.description || '',
-                urgency: req.body.urgency
+                ...fields,
+                location: toPoint(lat, lng),
+                zoneId: zone ? zone.id : null,
+                // Submitted anyway: keep the flag so staff can merge it later
+                possibleDuplicateOf: duplicates.length > 0 ? duplicates[0]._id : null,
+                description: values.description || '',
+                // New reports always start at the beginning of the workflow
+                status: 'Pending'
             };
             
-            // Handle file upload based on environment
-            if (req.file) {
-                if (process.env.GCS_BUCKET_NAME) {
-                    // Upload to Google Cloud Storage
-                    const photoUrl = await uploadToGCS(req.file, reportData.type);
-                    if (photoUrl) {
-                        reportData.photo = photoUrl;
-                        console.log('Saved photo URL to GCS:', reportData.photo);
-                    }
-                } else {
-                    // Local file storage
-                    const relativePath = path.relative(
-                        path.join(__dirname),
-                        req.file.path
-                    ).replace(/\\/g, '/');
-                    
-                    reportData.photo = `/${relativePath}`;
-                    console.log('Saved photo path locally:', reportData.photo);
+            // Resize, strip EXIF data and store the photos (locally or in GCS)
+            const processed = await processPhotos(req.files || []);
+            reportData.photos = await storePhotos(processed, reportData.type);
+            
+            const report = new Report({
+                ...reportData,
+                trackingCode: await generateTrackingCode(),
+                reporterEmail: notifyReporter ? contactEmail : null,
+                notifyReporter,
+                history: [{ action: 'created', at: new Date() }]
+            });
+            try {
+                await report.save();
+            } catch (error) {
+                // Don't leave the stored photos behind without a report
+                for (const photo of reportData.photos) {
+                    await deletePhotoObjects(photo);
                 }
+                throw error;
             }
-            
-            const report = new Report(reportData);
-            await report.save();
             console.log('New report saved successfully:', report._id);
-            res.status(201).json(report);
+            res.status(201).json({ ...(await withPhotoUrls(report)), trackingCode: report.trackingCode });
+            broadcastReportEvent('report-created', report);
+            notifyReportEvent('new-report', report);
         } catch (error) {
+            if (error.status === 400) {
+                return sendValidationError(res, { photos: error.message });
+            }
             console.error('Error saving report:', error);
             res.status(500).json({ 
                 error: 'Error saving report', 
@@ -379,17 +2895,20 @@ app.post('/reports', checkDbConnection, async (req, res) => {
     });
 });
 
-app.put('/reports/:id', async (req, res) => {
+app.put('/reports/:id', checkDbConnection, requireAuth, requirePermission('reports:edit'), async (req, res) => {
     console.log(`Received PUT request for report ${req.params.id}`);
     
     upload(req, res, async function(err) {
-        if (err) {
+        if (err instanceof multer.MulterError) {
+            console.error('Multer error during upload:', err);
+            return sendValidationError(res, { photos: `Photo upload rejected: ${err.message}` });
+        } else if (err) {
             console.error('Error during upload:', err);
             return res.status(500).json({ error: `Upload error: ${err.message}` });
         }
         
         console.log('Request body for update:', req.body);
-        console.log('Uploaded file for update:', req.file);
+        console.log('Uploaded files for update:', (req.files || []).map(file => `${file.originalname} (${file.size} bytes)`));
         
         try {
             // Find the existing report
@@ -398,45 +2917,110 @@ app.put('/reports/:id', async (req, res) => {
                 return res.status(404).json({ error: 'Report not found' });
             }
             
+            const { values, errors } = validateReportPayload(req.body, {
+                partial: true,
+                existing: report.toObject(),
+                zones: campusZones
+            });
+            const rawComment = req.body.comment;
+            const comment = typeof rawComment === 'string' ? rawComment.trim() : '';
+            if (rawComment !== undefined && rawComment !== null && typeof rawComment !== 'string') {
+                errors.comment = 'comment must be a string';
+            } else if (comment.length > 1000) {
+                errors.comment = 'comment must be at most 1000 characters';
+            }
+            const shareComment = req.body.shareComment === 'true';
+            
+            // Photos to remove, by their position in the report's photo list
+            const removeIndexes = parseList(req.body.removePhotos).map(Number);
+            const newFiles = req.files || [];
+            if (removeIndexes.some(index => !Number.isInteger(index) || index < 0 || index >= report.photos.length)) {
+                errors.photos = 'removePhotos must list positions of existing photos';
+            } else if (report.photos.length - new Set(removeIndexes).size + newFiles.length > MAX_PHOTOS_PER_REPORT) {
+                errors.photos = `A report can have at most ${MAX_PHOTOS_PER_REPORT} photos`;
+            }
+            if (Object.keys(errors).length > 0) {
+                console.log(`Rejected invalid update for report ${report._id}:`, errors);
+                return sendValidationError(res, errors);
+            }
+            
+            // Only roles allowed to resolve reports may move them into a resolving status
+            if (values.status && values.status !== report.status &&
+                RESOLVING_STATUSES.includes(values.status) &&
+                !hasPermission(req.user, 'reports:resolve')) {
+                return res.status(403).json({ error: 'You do not have permission to resolve reports' });
+            }
+            
+            // Encode new photos first; an unreadable image rejects the whole update
+            let processed;
+            try {
+                processed = await processPhotos(newFiles);
+            } catch (error) {
+                if (error.status === 400) {
+                    return sendValidationError(res, { photos: error.message });
+                }
+                throw error;
+            }
+            
+            // Snapshot the current values so the changes can be recorded
+            const before = report.toObject();
+            
             // Update report data
-            report.type = req.body.type || report.type;
-            report.time = req.body.time ? new Date(req.body.time) : report.time;
-            report.status = req.body.status || report.status;
-            report.description = req.body.description || report.description;
-            report.urgency = req.body.urgency || report.urgency;
+            Object.assign(report, values);
             
-            // Handle photo updates
-            if (req.file) {
-                if (process.env.GCS_BUCKET_NAME) {
-                    // Upload to Google Cloud Storage
-                    const photoUrl = await uploadToGCS(req.file, report.type);
-                    if (photoUrl) {
-                        // If we're updating from local storage to GCS, no need to delete the old file
-                        // as it exists in a different storage system
-                        report.photo = photoUrl;
-                        console.log('Updated photo URL in GCS:', report.photo);
-                    }
-                } else {
-                    // Local file storage - handle deleting old file
-                    if (report.photo && report.photo !== '' && report.photo.startsWith('/')) {
-                        const oldPhotoPath = path.join(__dirname, report.photo);
-                        deleteFile(oldPhotoPath);
-                    }
-                    
-                    // Use relative path for storage in DB
-                    const relativePath = path.relative(
-                        path.join(__dirname),
-                        req.file.path
-                    ).replace(/\\/g, '/');
-                    
-                    report.photo = `/${relativePath}`;
-                    console.log('Updated photo path locally:', report.photo);
+            // An assigned report's due date follows its urgency
+            if (report.assignedAt && values.urgency && values.urgency !== before.urgency) {
+                report.dueAt = dueDateFor(report.urgency, report.assignedAt);
+            }
+            
+            // Remove the requested photos and append the new ones
+            const removedPhotos = report.photos.filter((photo, index) => removeIndexes.includes(index));
+            const keptPhotos = report.photos.filter((photo, index) => !removeIndexes.includes(index));
+            const addedPhotos = await storePhotos(processed, report.type);
+            report.photos = [...keptPhotos, ...addedPhotos];
+            
+            try {
+                await report.save();
+            } catch (error) {
+                for (const photo of addedPhotos) {
+                    await deletePhotoObjects(photo);
                 }
+                throw error;
+            }
+            
+            // Only delete removed files once the report no longer points at them
+            for (const photo of removedPhotos) {
+                await deletePhotoObjects(photo);
+            }
+            
+            // Record who changed what, plus the optional staff comment
+            const changes = diffReportFields(before, report, [...TRACKED_REPORT_FIELDS, 'dueAt']);
+            if (changes.length > 0 || comment) {
+                await recordHistory(Report, report._id, {
+                    action: 'updated',
+                    actor: req.user._id,
+                    actorName: req.user.displayName || req.user.username,
+                    at: new Date(),
+                    changes,
+                    comment,
+                    commentPublic: shareComment && !!comment
+                });
             }
             
-            await report.save();
             console.log('Report updated successfully:', report._id);
-            res.json(report);
+            res.json(await withPhotoUrls(report));
+            broadcastReportEvent('report-updated', report);
+            if (report.status !== before.status) {
+                notifyReportEvent(RESOLVING_STATUSES.includes(report.status) ? 'resolved' : 'status-changed', report, {
+                    actor: req.user._id,
+                    actorName: req.user.displayName || req.user.username,
+                    previousStatus: before.status,
+                    comment
+                });
+                if (RESOLVING_STATUSES.includes(report.status)) {
+                    notifyReporters(report);
+                }
+            }
         } catch (error) {
             console.error('Error updating report:', error);
             res.status(500).json({ error: 'Error updating report', details: error.message });
@@ -444,51 +3028,455 @@ app.put('/reports/:id', async (req, res) => {
     });
 });
 
-app.delete('/reports/:id', async (req, res) => {
+app.get('/reports/:id/history', checkDbConnection, requireAuth, requirePermission('reports:edit'), async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.id).select('+history');
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        res.json(report.history || []);
+    } catch (error) {
+        console.error('Error fetching report history:', error);
+        res.status(500).json({ error: 'Error fetching report history', details: error.message });
+    }
+});
+
+// One photo of a report: streamed from local storage, or a redirect to a freshly signed URL.
+// Photos of staff-only reports need a staff login or a signed URL from an API response.
+app.get('/reports/:id/photos/:n', checkDbConnection, optionalAuth, async (req, res) => {
+    const index = Number(req.params.n);
+    const size = req.query.size === 'thumbnail' ? 'thumbnail' : 'full';
+    
+    if (!Number.isInteger(index) || index < 0 || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+    
+    try {
+        const report = await Report.findById(req.params.id).select('photos visibility');
+        const photo = report && report.photos[index];
+        const key = photo && (size === 'thumbnail' ? photo.thumbnailKey : photo.key);
+        if (!key) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+        
+        const isPublic = report.visibility !== 'staff';
+        if (!isPublic && !canSeeHiddenReports(req) &&
+            !isValidPhotoSignature(report._id, index, size, req.query.expires, req.query.signature)) {
+            return res.status(403).json({ error: 'You do not have permission to view this photo' });
+        }
+        
+        const directUrl = await photoStorage.urlFor(key, PHOTO_URL_TTL_SECONDS);
+        if (directUrl) {
+            return res.redirect(directUrl);
+        }
+        
+        const stream = await photoStorage.get(key);
+        res.set('Content-Type', photo.contentType || 'image/jpeg');
+        res.set('Cache-Control', isPublic ? `public, max-age=${PHOTO_URL_TTL_SECONDS}` : 'private, no-store');
+        stream.on('error', (err) => {
+            console.error(`Error streaming photo ${key}:`, err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.warn(`Photo ${req.params.n} of report ${req.params.id} is missing from storage`);
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+        console.error('Error fetching photo:', error);
+        res.status(500).json({ error: 'Error fetching photo', details: error.message });
+    }
+});
+
+// "Me too": confirm that the problem in an existing report is still there
+app.post('/reports/:id/confirm', checkDbConnection,
+    rateLimit({ name: 'confirm', max: CONFIRM_RATE_LIMIT, windowMs: 60 * 60 * 1000 }), async (req, res) => {
     try {
         const report = await Report.findById(req.params.id);
+        if (!report || report.visibility === 'staff') {
+            return res.status(404).json({ error: 'Report not found' });
+        }
         
-        if (!report) {
+        // Confirmations of a merged report count towards the report it was merged into.
+        // Each client counts once per report.
+        const targetId = report.mergedInto || report._id;
+        const client = hashClient(req);
+        const updated = await Report.findOneAndUpdate(
+            { _id: targetId, confirmedBy: { $ne: client } },
+            { $inc: { confirmations: 1 }, $push: { confirmedBy: client } },
+            { new: true }
+        );
+        if (!updated) {
+            if (await Report.exists({ _id: targetId })) {
+                return res.status(409).json({ error: 'You have already confirmed this report' });
+            }
             return res.status(404).json({ error: 'Report not found' });
         }
         
-        // Delete associated photo if it exists
-        if (report.photo && report.photo !== '') {
-            // Only delete local files, GCS files we leave for now
-            if (report.photo.startsWith('/')) {
-                const photoPath = path.join(__dirname, report.photo);
-                deleteFile(photoPath);
-            } else if (process.env.GCS_BUCKET_NAME && 
-                      (report.photo.includes('storage.googleapis.com') || 
-                       report.photo.includes('storage.cloud.google.com'))) {
-                // For GCS files, extract the path and delete
-                try {
-                    // Parse the URL to extract the path
-                    const url = new URL(report.photo);
-                    let gcsPath;
-                    
-                    // Handle both signed URLs and direct URLs
-                    if (url.pathname.includes('/o/')) {
-                        // This is a signed URL format
-                        const objectPath = url.pathname.split('/o/')[1];
-                        gcsPath = decodeURIComponent(objectPath.split('?')[0]);
-                    } else {
-                        // This is a direct storage.googleapis.com URL
-                        gcsPath = url.pathname.split('/').slice(2).join('/');
+        console.log(`Report ${updated._id} confirmed (${updated.confirmations} confirmations)`);
+        res.json(await withPhotoUrls(updated));
+        broadcastReportEvent('report-updated', updated);
+    } catch (error) {
+        console.error('Error confirming report:', error);
+        res.status(500).json({ error: 'Error confirming report', details: error.message });
+    }
+});
+
+// Comments on a report, oldest first. Staff also see hidden comments.
+app.get('/reports/:id/comments', checkDbConnection, optionalAuth, async (req, res) => {
+    try {
+        const isStaff = canSeeHiddenReports(req);
+        const report = await Report.findById(req.params.id).select('+comments');
+        if (!report || (report.visibility === 'staff' && !isStaff)) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        const comments = report.comments
+            .filter(comment => isStaff || !comment.hidden)
+            .map(comment => commentForClient(comment, isStaff));
+        res.json(comments);
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ error: 'Error fetching comments', details: error.message });
+    }
+});
+
+// Add a public comment, e.g. "still broken today". Body: { body, authorName }.
+// Comments on a merged report go to the report it was merged into.
+app.post('/reports/:id/comments', checkDbConnection, optionalAuth,
+    rateLimit({ name: 'comment', max: COMMENT_RATE_LIMIT, windowMs: 60 * 60 * 1000 }), async (req, res) => {
+    const body = String((req.body && req.body.body) || '').trim();
+    const authorName = String((req.body && req.body.authorName) || '').trim();
+    const errors = {};
+    if (!body) {
+        errors.body = 'Comment cannot be empty';
+    } else if (body.length > COMMENT_MAX_LENGTH) {
+        errors.body = `Comment must be at most ${COMMENT_MAX_LENGTH} characters`;
+    }
+    if (authorName.length > 50) {
+        errors.authorName = 'Name must be at most 50 characters';
+    }
+    if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
+    try {
+        const isStaff = canSeeHiddenReports(req);
+        const report = await Report.findById(req.params.id);
+        if (!report || (report.visibility === 'staff' && !isStaff)) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        const comment = {
+            _id: new mongoose.Types.ObjectId(),
+            body,
+            // Staff comment under their own name
+            authorName: isStaff ? (req.user.displayName || req.user.username) : (authorName || 'Anonymous'),
+            staff: isStaff,
+            clientHash: hashClient(req),
+            createdAt: new Date()
+        };
+        const updated = await Report.findByIdAndUpdate(
+            report.mergedInto || report._id,
+            { $push: { comments: comment }, $inc: { commentCount: 1 } },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        console.log(`Comment added to report ${updated._id} (${updated.commentCount} comments)`);
+        res.status(201).json(commentForClient(comment, isStaff));
+        broadcastReportEvent('report-updated', updated);
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        res.status(500).json({ error: 'Error adding comment', details: error.message });
+    }
+});
+
+// Hide an abusive comment; it stays stored for reference but is no longer shown publicly
+app.delete('/reports/:id/comments/:commentId', checkDbConnection, requireAuth, requirePermission('reports:edit'), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+        return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    try {
+        const updated = await Report.findOneAndUpdate(
+            { _id: req.params.id, comments: { $elemMatch: { _id: req.params.commentId, hidden: false } } },
+            { $set: { 'comments.$.hidden': true }, $inc: { commentCount: -1 } },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        
+        console.log(`User "${req.user.username}" hid comment ${req.params.commentId} on report ${updated._id}`);
+        res.json(await withPhotoUrls(updated));
+        broadcastReportEvent('report-updated', updated);
+    } catch (error) {
+        console.error('Error hiding comment:', error);
+        res.status(500).json({ error: 'Error hiding comment', details: error.message });
+    }
+});
+
+// Fold duplicate reports into this one, keeping their photos and confirmation counts
+app.post('/reports/:id/merge', checkDbConnection, requireAuth, requirePermission('reports:edit'), async (req, res) => {
+    const duplicateIds = Array.isArray(req.body && req.body.duplicateIds)
+        ? [...new Set(req.body.duplicateIds.map(String))]
+        : [];
+    
+    if (duplicateIds.length === 0) {
+        return res.status(400).json({ error: 'duplicateIds must be a non-empty array of report ids' });
+    }
+    if (duplicateIds.includes(req.params.id)) {
+        return res.status(400).json({ error: 'A report cannot be merged into itself' });
+    }
+    if (!duplicateIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ error: 'duplicateIds contains an invalid report id' });
+    }
+    
+    try {
+        const canonical = await Report.findById(req.params.id);
+        if (!canonical) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        if (canonical.mergedInto) {
+            return res.status(400).json({ error: 'This report has itself been merged into another report' });
+        }
+        
+        // Duplicates already merged into this report are accepted, so a failed merge can be retried as is
+        const duplicates = await Report.find({ _id: { $in: duplicateIds }, mergedInto: { $in: [null, canonical._id] } })
+            .select('+comments +confirmedBy');
+        if (duplicates.length !== duplicateIds.length) {
+            return res.status(400).json({ error: 'Some reports were not found or are already merged' });
+        }
+        const pending = duplicates.filter(d => !d.mergedInto);
+        const toFold = pending.filter(d => !canonical.mergedFrom.some(id => id.equals(d._id)));
+        const photoCount = toFold.reduce((count, d) => count + d.photos.length, canonical.photos.length);
+        if (photoCount > MAX_PHOTOS_PER_REPORT) {
+            return res.status(400).json({
+                error: `The merged report would have ${photoCount} photos; a report can have at most ${MAX_PHOTOS_PER_REPORT}. Delete some photos first.`
+            });
+        }
+        
+        const actor = {
+            actor: req.user._id,
+            actorName: req.user.displayName || req.user.username,
+            at: new Date()
+        };
+        
+        // There is no transaction, so the writes are ordered to make a failed merge safe to retry.
+        // First the kept report takes over the duplicates' content in one update that also records
+        // them in mergedFrom, so it can never happen twice for the same duplicate.
+        let merged = canonical;
+        if (toFold.length > 0) {
+            merged = await Report.findOneAndUpdate({
+                _id: canonical._id,
+                mergedInto: null,
+                mergedFrom: { $nin: toFold.map(d => d._id) }
+            }, {
+                // Each duplicate counts as one confirmation, plus the confirmations it collected
+                $inc: {
+                    confirmations: toFold.reduce((count, d) => count + d.confirmations + 1, 0),
+                    commentCount: toFold.reduce((count, d) => count + d.commentCount, 0)
+                },
+                $push: {
+                    photos: { $each: toFold.flatMap(d => d.photos.map(photo => photo.toObject())) },
+                    // Comments and confirmers are not loaded on the kept report, so they are added here too
+                    comments: { $each: toFold.flatMap(d => (d.comments || []).map(c => c.toObject())) },
+                    mergedFrom: { $each: toFold.map(d => d._id) },
+                    history: {
+                        ...actor,
+                        action: 'merged',
+                        changes: [],
+                        comment: `Merged duplicate report(s) ${toFold.map(d => d._id).join(', ')}`
                     }
-                    
-                    console.log('Attempting to delete GCS file:', gcsPath);
-                    await bucket.file(gcsPath).delete();
-                    console.log('Deleted file from GCS:', gcsPath);
-                } catch (err) {
-                    console.error('Error deleting file from GCS:', err);
-                }
+                },
+                $addToSet: { confirmedBy: { $each: toFold.flatMap(d => d.confirmedBy || []) } }
+            }, { new: true });
+            if (!merged) {
+                return res.status(409).json({ error: 'The report changed during the merge; please try again' });
+            }
+        }
+        
+        // Then each duplicate is marked as merged and lets go of its photos
+        for (const duplicate of pending) {
+            const before = duplicate.toObject();
+            duplicate.mergedInto = canonical._id;
+            duplicate.status = 'Rejected';
+            duplicate.photos = [];
+            await duplicate.save();
+            await recordHistory(Report, duplicate._id, {
+                ...actor,
+                action: 'merged',
+                changes: diffReportFields(before, duplicate),
+                comment: `Merged into report ${canonical._id}`
+            });
+        }
+        
+        console.log(`Merged ${pending.length} report(s) into ${canonical._id}`);
+        res.json(await withPhotoUrls(merged));
+        broadcastReportEvent('report-updated', merged);
+        pending.forEach(duplicate => broadcastReportEvent('report-deleted', duplicate));
+    } catch (error) {
+        console.error('Error merging reports:', error);
+        res.status(500).json({ error: 'Error merging reports', details: error.message });
+    }
+});
+
+// Give a report to a crew and/or one of its members; assigning again reassigns it.
+// Body: { team, assigneeId, dueAt, comment }. Without dueAt the due date follows the urgency.
+app.post('/reports/:id/assign', checkDbConnection, requireAuth, requirePermission('reports:assign'), async (req, res) => {
+    const { team, assigneeId, dueAt } = req.body || {};
+    const comment = String((req.body && req.body.comment) || '').trim();
+    const errors = {};
+    
+    if (team && !TEAM_IDS.includes(team)) {
+        errors.team = `team must be one of: ${TEAM_IDS.join(', ')}`;
+    }
+    if (assigneeId && !mongoose.Types.ObjectId.isValid(assigneeId)) {
+        errors.assigneeId = 'assigneeId must be a user id';
+    }
+    if (!team && !assigneeId) {
+        errors.team = 'A team or an assignee is required';
+    }
+    const customDue = dueAt ? new Date(dueAt) : null;
+    if (customDue && isNaN(customDue.getTime())) {
+        errors.dueAt = 'dueAt must be a valid date';
+    }
+    if (comment.length > 1000) {
+        errors.comment = 'comment must be at most 1000 characters';
+    }
+    if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
+    try {
+        const report = await Report.findById(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        if (report.mergedInto) {
+            return res.status(400).json({ error: 'Merged reports cannot be assigned' });
+        }
+        if (!OPEN_STATUSES.includes(report.status)) {
+            return res.status(400).json({ error: `A report that is ${report.status} cannot be assigned` });
+        }
+        
+        let assignee = null;
+        if (assigneeId) {
+            assignee = await User.findById(assigneeId);
+            if (!assignee || !hasPermission(assignee, 'reports:edit')) {
+                return sendValidationError(res, { assigneeId: 'Assignee must be an existing staff account' });
             }
         }
         
+        const before = report.toObject();
+        const now = new Date();
+        
+        // The report goes to the assignee's crew unless a team is given
+        report.team = team || (assignee && assignee.team) || null;
+        report.assignee = assignee ? assignee._id : null;
+        report.assigneeName = assignee ? (assignee.displayName || assignee.username) : null;
+        report.assignedAt = now;
+        report.dueAt = customDue || dueDateFor(report.urgency, now);
+        // Assigning acknowledges a pending report. The status is one of the ASSIGNMENT_FIELDS, so the
+        // change lands in the history entry below and from there on the tracking page.
+        if (report.status === 'Pending') {
+            report.status = 'Acknowledged';
+        }
+        await report.save();
+        
+        await recordHistory(Report, report._id, {
+            action: 'assigned',
+            actor: req.user._id,
+            actorName: req.user.displayName || req.user.username,
+            at: now,
+            changes: diffReportFields(before, report, ASSIGNMENT_FIELDS),
+            comment
+        });
+        
+        console.log(`Report ${report._id} assigned to ${report.assigneeName || 'nobody'} (team ${report.team || 'none'}), due ${report.dueAt.toISOString()}`);
+        res.json(await withPhotoUrls(report));
+        broadcastReportEvent('report-updated', report);
+        notifyReportEvent('assigned', report, {
+            actor: req.user._id,
+            actorName: req.user.displayName || req.user.username,
+            comment
+        });
+        if (report.status !== before.status) {
+            notifyReportEvent('status-changed', report, {
+                actor: req.user._id,
+                actorName: req.user.displayName || req.user.username,
+                previousStatus: before.status,
+                comment
+            });
+        }
+    } catch (error) {
+        console.error('Error assigning report:', error);
+        res.status(500).json({ error: 'Error assigning report', details: error.message });
+    }
+});
+
+// Take a report off its crew's queue
+app.post('/reports/:id/unassign', checkDbConnection, requireAuth, requirePermission('reports:assign'), async (req, res) => {
+    const comment = String((req.body && req.body.comment) || '').trim();
+    if (comment.length > 1000) {
+        return sendValidationError(res, { comment: 'comment must be at most 1000 characters' });
+    }
+    
+    try {
+        const report = await Report.findById(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        if (!report.team && !report.assignee) {
+            return res.status(400).json({ error: 'Report is not assigned' });
+        }
+        
+        const before = report.toObject();
+        report.team = null;
+        report.assignee = null;
+        report.assigneeName = null;
+        report.assignedAt = null;
+        report.dueAt = null;
+        await report.save();
+        
+        await recordHistory(Report, report._id, {
+            action: 'unassigned',
+            actor: req.user._id,
+            actorName: req.user.displayName || req.user.username,
+            at: new Date(),
+            changes: diffReportFields(before, report, ASSIGNMENT_FIELDS),
+            comment
+        });
+        
+        console.log(`Report ${report._id} unassigned`);
+        res.json(await withPhotoUrls(report));
+        broadcastReportEvent('report-updated', report);
+    } catch (error) {
+        console.error('Error unassigning report:', error);
+        res.status(500).json({ error: 'Error unassigning report', details: error.message });
+    }
+});
+
+app.delete('/reports/:id', checkDbConnection, requireAuth, requirePermission('reports:delete'), async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.id);
+        
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        // Delete associated photos and their thumbnails
+        for (const photo of report.photos) {
+            await deletePhotoObjects(photo);
+        }
+        
         await Report.findByIdAndDelete(req.params.id);
         console.log('Report deleted successfully:', req.params.id);
         res.json({ message: 'Report deleted successfully' });
+        broadcastReportEvent('report-deleted', report);
     } catch (error) {
         console.error('Error deleting report:', error);
         res.status(500).json({ error: 'Error deleting report' });
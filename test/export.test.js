@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EXPORT_COLUMNS, csvCell, escapeXml, EXPORT_WRITERS } = require('../lib/helpers');
+
+const record = (fields = {}) => ({
+    ...Object.fromEntries(EXPORT_COLUMNS.map(column => [column, null])),
+    id: '65f0a1b2c3d4e5f601234567',
+    type: 'Road',
+    issueCategory: 'Uneven surface',
+    status: 'Pending',
+    urgency: 'High',
+    time: '2024-03-04T08:00:00.000Z',
+    lat: 22.99,
+    lng: 120.21,
+    photos: [],
+    ...fields
+});
+
+test('csvCell prefixes text that spreadsheets would run as a formula', () => {
+    assert.strictEqual(csvCell('=HYPERLINK("http://example.com")'), `"'=HYPERLINK(""http://example.com"")"`);
+    assert.strictEqual(csvCell('+1 555'), "'+1 555");
+    assert.strictEqual(csvCell('-cmd'), "'-cmd");
+    assert.strictEqual(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(csvCell('\tindent'), "'\tindent");
+});
+
+test('csvCell leaves numbers alone, negative ones included', () => {
+    assert.strictEqual(csvCell(-22.5), '-22.5');
+    assert.strictEqual(csvCell(0), '0');
+    assert.strictEqual(csvCell(false), 'false');
+});
+
+test('csvCell quotes commas, quotes and line breaks', () => {
+    assert.strictEqual(csvCell('plain text'), 'plain text');
+    assert.strictEqual(csvCell('a, b'), '"a, b"');
+    assert.strictEqual(csvCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(csvCell('line one\nline two'), '"line one\nline two"');
+    assert.strictEqual(csvCell('line one\r\nline two'), '"line one\r\nline two"');
+});
+
+test('csvCell writes missing values as empty cells and joins lists', () => {
+    assert.strictEqual(csvCell(null), '');
+    assert.strictEqual(csvCell(undefined), '');
+    assert.strictEqual(csvCell(['a', 'b']), 'a b');
+});
+
+test('escapeXml escapes every XML special character', () => {
+    assert.strictEqual(escapeXml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    assert.strictEqual(escapeXml(42), '42');
+});
+
+test('the CSV writer starts with a byte order mark and the column names', () => {
+    const head = EXPORT_WRITERS.csv.head();
+    assert.ok(head.startsWith('\uFEFFid,type,issueCategory,'));
+    assert.ok(head.endsWith('\r\n'));
+
+    const row = EXPORT_WRITERS.csv.record(record({ description: '=1+1, really' }));
+    assert.ok(row.includes(`"'=1+1, really"`));
+    assert.strictEqual(row.split(',').length, EXPORT_COLUMNS.length + 1);
+});
+
+test('the GeoJSON writer produces a valid feature collection', () => {
+    const writer = EXPORT_WRITERS.geojson;
+    const text = writer.head() + writer.record(record(), 0) + writer.record(record({ lat: 23 }), 1) + writer.tail();
+    const data = JSON.parse(text);
+    assert.strictEqual(data.features.length, 2);
+    assert.deepStrictEqual(data.features[0].geometry, { type: 'Point', coordinates: [120.21, 22.99] });
+    assert.strictEqual(data.features[0].properties.lat, undefined);
+});
+
+test('the KML writer escapes report text in names, descriptions and extended data', () => {
+    const placemark = EXPORT_WRITERS.kml.record(record({
+        type: 'Pipe <burst> & flood',
+        description: '<script>alert(1)</script>',
+        photos: ['https://example.com/photo?a=1&b=2']
+    }));
+    assert.ok(placemark.includes('<name>Pipe &lt;burst&gt; &amp; flood: Uneven surface</name>'));
+    // The description is HTML inside XML, so report text is escaped for both
+    assert.ok(placemark.includes('&amp;lt;script&amp;gt;'));
+    assert.ok(!placemark.includes('<script>'));
+    assert.ok(placemark.includes('<Data name="type"><value>Pipe &lt;burst&gt; &amp; flood</value></Data>'));
+    assert.ok(placemark.includes('a=1&amp;amp;b=2'));
+    assert.ok(placemark.includes('<styleUrl>#urgency-High</styleUrl>'));
+    assert.ok(placemark.includes('<coordinates>120.21,22.99</coordinates>'));
+});
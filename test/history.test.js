@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TRACKED_REPORT_FIELDS, diffReportFields, recordHistory } = require('../lib/helpers');
+
+const before = {
+    type: 'Road',
+    issueCategory: 'Uneven surface',
+    time: new Date('2024-03-04T08:00:00Z'),
+    status: 'Pending',
+    description: 'Loose tiles',
+    urgency: 'Low',
+    photos: [{ key: 'road/a.jpg', thumbKey: 'road/a-thumb.jpg' }],
+    visibility: 'public'
+};
+
+test('diffReportFields finds nothing between equal snapshots', () => {
+    const copy = { ...before, time: new Date(before.time), photos: [{ key: 'road/a.jpg', thumbKey: 'other' }] };
+    assert.deepStrictEqual(diffReportFields(before, copy), []);
+});
+
+test('diffReportFields lists each changed tracked field with its old and new value', () => {
+    const after = { ...before, status: 'Resolved', urgency: 'High', dueAt: new Date() };
+    assert.deepStrictEqual(diffReportFields(before, after), [
+        { field: 'status', from: 'Pending', to: 'Resolved' },
+        { field: 'urgency', from: 'Low', to: 'High' }
+    ]);
+    assert.ok(!TRACKED_REPORT_FIELDS.includes('dueAt'));
+});
+
+test('diffReportFields records dates as ISO strings and photos by storage key', () => {
+    const after = {
+        ...before,
+        time: new Date('2024-03-05T08:00:00Z'),
+        photos: [{ key: 'road/a.jpg' }, { key: 'road/b.jpg' }]
+    };
+    assert.deepStrictEqual(diffReportFields(before, after), [
+        { field: 'time', from: '2024-03-04T08:00:00.000Z', to: '2024-03-05T08:00:00.000Z' },
+        { field: 'photos', from: ['road/a.jpg'], to: ['road/a.jpg', 'road/b.jpg'] }
+    ]);
+});
+
+test('diffReportFields treats missing values as null and checks only the fields asked for', () => {
+    assert.deepStrictEqual(diffReportFields({ team: 'roads' }, {}, ['team', 'assigneeName']), [
+        { field: 'team', from: 'roads', to: null }
+    ]);
+    assert.deepStrictEqual(diffReportFields({}, { dueAt: null }, ['dueAt']), []);
+});
+
+test('recordHistory appends the entry to the report history', async () => {
+    const calls = [];
+    const model = { updateOne: async (...args) => { calls.push(args); return { modifiedCount: 1 }; } };
+    const entry = { action: 'updated', actorName: 'Jo', changes: [] };
+
+    assert.deepStrictEqual(await recordHistory(model, 'report-1', entry), { modifiedCount: 1 });
+    assert.deepStrictEqual(calls, [[{ _id: 'report-1' }, { $push: { history: entry } }]]);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, parseImportFile } = require('../lib/helpers');
+
+const csv = (text) => Buffer.from(text, 'utf8');
+
+test('parseCsv handles quoted commas, quotes and line breaks', () => {
+    assert.deepStrictEqual(parseCsv('a,"b,c","say ""hi""","two\nlines"\r\n1,2,3,4'), [
+        ['a', 'b,c', 'say "hi"', 'two\nlines'],
+        ['1', '2', '3', '4']
+    ]);
+});
+
+test('parseCsv keeps empty cells', () => {
+    assert.deepStrictEqual(parseCsv('a,,c\n,,'), [['a', '', 'c'], ['', '', '']]);
+});
+
+test('parseCsv rejects an unclosed quote with a 400 error', () => {
+    assert.throws(() => parseCsv('a,"b\n1,2'), { status: 400, message: 'The CSV file has an unclosed quote' });
+});
+
+test('parseImportFile reads CSV rows with spreadsheet line numbers', () => {
+    const records = parseImportFile(csv('\uFEFFexternalId, lat ,lng,type\nS-1,22.99,120.21,Road\n\nS-2,23.00,120.22\n'), 'csv', 10);
+    assert.deepStrictEqual(records, [
+        { row: 2, fields: { externalId: 'S-1', lat: '22.99', lng: '120.21', type: 'Road' } },
+        { row: 4, fields: { externalId: 'S-2', lat: '23.00', lng: '120.22', type: '' } }
+    ]);
+});
+
+test('parseImportFile requires the id and position columns', () => {
+    assert.throws(() => parseImportFile(csv('externalId,type\nS-1,Road\n'), 'csv', 10), {
+        status: 400,
+        message: 'The CSV file is missing the column(s): lat, lng'
+    });
+    assert.throws(() => parseImportFile(csv(''), 'csv', 10), { status: 400, message: 'The CSV file is empty' });
+});
+
+test('parseImportFile reads GeoJSON points and flags other geometries', () => {
+    const geojson = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', id: 7, geometry: { type: 'Point', coordinates: [120.21, 22.99] }, properties: { type: 'Road' } },
+            { type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: { externalId: 'S-2' } }
+        ]
+    };
+    const [point, line] = parseImportFile(csv(JSON.stringify(geojson)), 'geojson', 10);
+    assert.deepStrictEqual(point, {
+        row: 1,
+        fields: { type: 'Road', externalId: 7, lng: 120.21, lat: 22.99 },
+        geometryError: null
+    });
+    assert.strictEqual(line.fields.externalId, 'S-2');
+    assert.strictEqual(line.fields.lat, undefined);
+    assert.strictEqual(line.geometryError, 'Feature geometry must be a Point');
+});
+
+test('parseImportFile accepts a single GeoJSON Feature', () => {
+    const feature = { type: 'Feature', geometry: { type: 'Point', coordinates: [120.21, 22.99] }, properties: { externalId: 'S-1' } };
+    assert.strictEqual(parseImportFile(csv(JSON.stringify(feature)), 'geojson', 10).length, 1);
+});
+
+test('parseImportFile rejects invalid GeoJSON', () => {
+    assert.throws(() => parseImportFile(csv('{'), 'geojson', 10), { status: 400, message: /not valid JSON/ });
+    assert.throws(() => parseImportFile(csv('{"type":"Point"}'), 'geojson', 10), {
+        status: 400,
+        message: 'The GeoJSON file must hold a FeatureCollection or a Feature'
+    });
+});
+
+test('parseImportFile enforces the row limit and rejects empty files', () => {
+    assert.throws(() => parseImportFile(csv('externalId,lat,lng\n1,0,0\n2,0,0\n3,0,0\n'), 'csv', 2), {
+        status: 400,
+        message: 'The file has 3 rows; at most 2 can be imported at once'
+    });
+    assert.throws(() => parseImportFile(csv('externalId,lat,lng\n'), 'csv', 2), {
+        status: 400,
+        message: 'The file has no rows to import'
+    });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { parseReportSort, encodeCursor, cursorCondition, parseLimit } = require('../lib/helpers');
+
+const id = new mongoose.Types.ObjectId('65e5a0c0f1a2b3c4d5e6f708');
+const cursorOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('parseReportSort defaults to newest first and reads the direction prefix', () => {
+    assert.deepStrictEqual(parseReportSort(undefined), { field: 'time', direction: -1 });
+    assert.deepStrictEqual(parseReportSort('confirmations'), { field: 'confirmations', direction: 1 });
+    assert.deepStrictEqual(parseReportSort('-_id'), { field: '_id', direction: -1 });
+});
+
+test('parseReportSort rejects unknown fields with a 400 error', () => {
+    assert.throws(() => parseReportSort('-description'), { status: 400, message: /Cannot sort by "description"/ });
+});
+
+test('parseLimit defaults to the page size and enforces its bounds', () => {
+    assert.strictEqual(parseLimit(undefined), 500);
+    assert.strictEqual(parseLimit('20'), 20);
+    ['0', '1001', 'ten'].forEach(value => {
+        assert.throws(() => parseLimit(value), { status: 400, message: 'limit must be between 1 and 1000' });
+    });
+});
+
+test('a descending time cursor selects older reports and breaks ties on the id', () => {
+    const time = new Date('2024-03-04T08:00:00Z');
+    const sort = { field: 'time', direction: -1 };
+    assert.deepStrictEqual(cursorCondition(encodeCursor({ _id: id, time }, sort), sort), {
+        $or: [
+            { time: { $lt: time } },
+            { time, _id: { $lt: id } }
+        ]
+    });
+});
+
+test('an ascending cursor selects the reports after the last one', () => {
+    const sort = { field: 'confirmations', direction: 1 };
+    assert.deepStrictEqual(cursorCondition(encodeCursor({ _id: id, confirmations: 3 }, sort), sort), {
+        $or: [
+            { confirmations: { $gt: 3 } },
+            { confirmations: 3, _id: { $gt: id } }
+        ]
+    });
+});
+
+test('an id cursor compares the id alone', () => {
+    const sort = { field: '_id', direction: -1 };
+    assert.deepStrictEqual(cursorCondition(encodeCursor({ _id: id }, sort), sort), { _id: { $lt: id } });
+});
+
+test('malformed cursors are rejected with a 400 error', () => {
+    const sort = { field: 'time', direction: -1 };
+    const cursors = [
+        'not base64 json',
+        Buffer.from('{"v":').toString('base64url'),
+        cursorOf(null),
+        cursorOf({ v: '2024-03-04T08:00:00.000Z', id: 'nope' }),
+        cursorOf({ v: 'yesterday', id: String(id) }),
+        cursorOf({ id: String(id) })
+    ];
+    cursors.forEach(cursor => {
+        assert.throws(() => cursorCondition(cursor, sort), { status: 400, message: 'Invalid cursor' }, cursor);
+    });
+    assert.throws(() => cursorCondition(cursorOf({ v: '3', id: String(id) }), { field: 'confirmations', direction: 1 }), {
+        status: 400,
+        message: 'Invalid cursor'
+    });
+});
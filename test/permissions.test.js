@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROLE_PERMISSIONS, hasPermission } = require('../lib/helpers');
+
+test('hasPermission follows the role permission table', () => {
+    assert.strictEqual(hasPermission({ role: 'staff' }, 'reports:edit'), true);
+    assert.strictEqual(hasPermission({ role: 'staff' }, 'reports:resolve'), false);
+    assert.strictEqual(hasPermission({ role: 'facilities_manager' }, 'reports:resolve'), true);
+    assert.strictEqual(hasPermission({ role: 'facilities_manager' }, 'reports:assign'), true);
+    assert.strictEqual(hasPermission({ role: 'facilities_manager' }, 'reports:import'), true);
+    assert.strictEqual(hasPermission({ role: 'facilities_manager' }, 'reports:delete'), false);
+    assert.strictEqual(hasPermission({ role: 'facilities_manager' }, 'users:manage'), false);
+    assert.strictEqual(hasPermission({ role: 'reporter' }, 'reports:edit'), false);
+});
+
+test('admins hold every permission of the other roles', () => {
+    const all = new Set(Object.values(ROLE_PERMISSIONS).flat());
+    all.forEach(permission => assert.ok(hasPermission({ role: 'admin' }, permission), permission));
+});
+
+test('hasPermission denies missing users and unknown roles', () => {
+    assert.strictEqual(hasPermission(null, 'reports:edit'), false);
+    assert.strictEqual(hasPermission(undefined, 'reports:edit'), false);
+    assert.strictEqual(hasPermission({ role: 'janitor' }, 'reports:edit'), false);
+    assert.strictEqual(hasPermission({}, 'reports:edit'), false);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { omitPrivateReportFields } = require('../lib/helpers');
+
+// A report as the $geoNear aggregate of GET /reports/near returns it: aggregates ignore select: false
+const aggregateResult = () => ({
+    _id: '65e5a0c0f1a2b3c4d5e6f708',
+    type: 'Road',
+    status: 'Pending',
+    commentCount: 1,
+    confirmations: 2,
+    distance: 12.5,
+    trackingCode: 'K7QX-M3PA',
+    reporterEmail: 'reporter@example.com',
+    comments: [
+        { body: 'Still broken', hidden: false, clientHash: 'a1' },
+        { body: 'Spam', hidden: true, clientHash: 'b2' }
+    ],
+    confirmedBy: ['c3', 'd4']
+});
+
+test('/reports/near results keep none of the private report fields', () => {
+    const json = omitPrivateReportFields(aggregateResult());
+    ['trackingCode', 'reporterEmail', 'comments', 'confirmedBy'].forEach(field => {
+        assert.ok(!(field in json), field);
+    });
+    assert.ok(!JSON.stringify(json).includes('clientHash'));
+});
+
+test('omitPrivateReportFields keeps the public fields and counts', () => {
+    const json = omitPrivateReportFields(aggregateResult());
+    assert.deepStrictEqual(json, {
+        _id: '65e5a0c0f1a2b3c4d5e6f708',
+        type: 'Road',
+        status: 'Pending',
+        commentCount: 1,
+        confirmations: 2,
+        distance: 12.5
+    });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { slaTargetFor, submissionTime, slaDeadlinesFor } = require('../lib/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const targets = {
+    urgency: {
+        High: { acknowledgeHours: 4, resolveHours: 48 },
+        Medium: { acknowledgeHours: 24, resolveHours: 168 },
+        Low: { acknowledgeHours: 72, resolveHours: 720 }
+    },
+    types: {
+        'Street Light': { High: { resolveHours: 12 } }
+    }
+};
+
+test('slaTargetFor lets type-specific values override the urgency defaults', () => {
+    assert.deepStrictEqual(slaTargetFor(targets, 'Street Light', 'High'), { acknowledgeHours: 4, resolveHours: 12 });
+    assert.deepStrictEqual(slaTargetFor(targets, 'Street Light', 'Medium'), targets.urgency.Medium);
+    assert.deepStrictEqual(slaTargetFor(targets, 'Road', 'High'), targets.urgency.High);
+});
+
+test('slaTargetFor falls back to the Low targets for an unknown urgency', () => {
+    assert.deepStrictEqual(slaTargetFor(targets, 'Road', undefined), targets.urgency.Low);
+});
+
+test('slaDeadlinesFor counts from the stored submission time', () => {
+    const submittedAt = new Date('2024-03-04T08:00:00Z');
+    const report = { _id: new mongoose.Types.ObjectId(), submittedAt, type: 'Road', urgency: 'High' };
+    const deadlines = slaDeadlinesFor(report, targets);
+    assert.strictEqual(deadlines.acknowledgeDueAt.getTime(), submittedAt.getTime() + 4 * HOUR_MS);
+    assert.strictEqual(deadlines.resolveDueAt.getTime(), submittedAt.getTime() + 48 * HOUR_MS);
+});
+
+test('slaDeadlinesFor uses the id timestamp for reports without a submission time', () => {
+    const created = new Date('2024-03-04T08:00:00Z');
+    const report = { _id: mongoose.Types.ObjectId.createFromTime(created.getTime() / 1000), type: 'Street Light', urgency: 'High' };
+    assert.strictEqual(submissionTime(report).getTime(), created.getTime());
+    assert.strictEqual(slaDeadlinesFor(report, targets).resolveDueAt.getTime(), created.getTime() + 12 * HOUR_MS);
+});
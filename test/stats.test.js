@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { median, weekRange } = require('../lib/helpers');
+
+test('weekRange fills in the weeks between the first and the last one', () => {
+    assert.deepStrictEqual(weekRange(['2024-03-18', '2024-03-04']), ['2024-03-04', '2024-03-11', '2024-03-18']);
+    assert.deepStrictEqual(weekRange(['2024-03-04', '2024-03-04']), ['2024-03-04']);
+    assert.deepStrictEqual(weekRange([]), []);
+});
+
+test('weekRange keeps every week on its Monday across daylight saving and year changes', () => {
+    // Spans the daylight saving changes of 2024 in Europe and the US
+    const weeks = weekRange(['2024-02-26', '2025-01-06']);
+    assert.strictEqual(weeks.length, 46);
+    assert.ok(weeks.includes('2024-04-01'));
+    assert.ok(weeks.includes('2024-11-04'));
+    assert.ok(weeks.includes('2024-12-30'));
+    weeks.forEach(week => assert.strictEqual(new Date(`${week}T00:00:00Z`).getUTCDay(), 1, week));
+});
+
+test('median handles odd and even counts and rounds to one decimal place', () => {
+    assert.strictEqual(median([5, 1, 3]), 3);
+    assert.strictEqual(median([1, 2, 3, 4]), 2.5);
+    assert.strictEqual(median([1.04, 1.12]), 1.1);
+    assert.strictEqual(median([]), null);
+});
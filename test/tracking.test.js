@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeTrackingCode } = require('../lib/helpers');
+
+test('normalizeTrackingCode keeps a well-formed code', () => {
+    assert.strictEqual(normalizeTrackingCode('K7QX-M3PA'), 'K7QX-M3PA');
+});
+
+test('normalizeTrackingCode accepts lower case, spaces and a missing dash', () => {
+    assert.strictEqual(normalizeTrackingCode('k7qx m3pa'), 'K7QX-M3PA');
+    assert.strictEqual(normalizeTrackingCode('k7qxm3pa'), 'K7QX-M3PA');
+    assert.strictEqual(normalizeTrackingCode(' K7QX--M3PA '), 'K7QX-M3PA');
+});
+
+test('normalizeTrackingCode rejects codes of the wrong length', () => {
+    assert.strictEqual(normalizeTrackingCode('K7QX-M3P'), null);
+    assert.strictEqual(normalizeTrackingCode('K7QX-M3PAB'), null);
+    assert.strictEqual(normalizeTrackingCode(''), null);
+    assert.strictEqual(normalizeTrackingCode(undefined), null);
+});
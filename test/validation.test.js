@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCampusZones, validateReportPayload } = require('../lib/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const zones = parseCampusZones({
+    features: [{
+        type: 'Feature',
+        properties: { zoneId: 'campus' },
+        geometry: { type: 'Polygon', coordinates: [[[120.0, 23.0], [120.1, 23.0], [120.1, 23.1], [120.0, 23.1], [120.0, 23.0]]] }
+    }]
+});
+
+const newReport = (fields = {}) => ({
+    lat: '23.05',
+    lng: '120.05',
+    type: 'Road',
+    issueCategory: 'Uneven surface',
+    time: new Date(Date.now() - DAY_MS).toISOString(),
+    description: ' Loose tiles ',
+    urgency: 'High',
+    ...fields
+});
+
+test('validateReportPayload coerces and trims a valid new report', () => {
+    const { values, errors } = validateReportPayload(newReport(), { zones, maxAgeDays: 365 });
+    assert.deepStrictEqual(errors, {});
+    assert.strictEqual(values.lat, 23.05);
+    assert.strictEqual(values.lng, 120.05);
+    assert.ok(values.time instanceof Date);
+    assert.strictEqual(values.description, 'Loose tiles');
+});
+
+test('validateReportPayload reports missing, malformed and out-of-range fields', () => {
+    const { errors } = validateReportPayload(newReport({
+        lat: '91',
+        lng: 'east',
+        time: 'yesterday',
+        description: 'x'.repeat(1001),
+        urgency: ''
+    }), { zones });
+    assert.deepStrictEqual(errors, {
+        lat: 'lat must be at most 90',
+        lng: 'lng must be a valid number',
+        time: 'time must be a valid date',
+        description: 'description must be at most 1000 characters',
+        urgency: 'urgency is required'
+    });
+});
+
+test('validateReportPayload checks the issue category against the report type', () => {
+    assert.match(validateReportPayload(newReport({ issueCategory: 'Dim lighting' }), { zones }).errors.issueCategory, /^Issue must be one of: Uneven surface/);
+    const custom = validateReportPayload(newReport({ type: 'Bench', issueCategory: 'Please specify in the Description' }), { zones });
+    assert.deepStrictEqual(custom.errors, {});
+});
+
+test('validateReportPayload rejects times in the future and, when limited, too long ago', () => {
+    const future = validateReportPayload(newReport({ time: new Date(Date.now() + DAY_MS).toISOString() }), { zones });
+    assert.strictEqual(future.errors.time, 'Time cannot be in the future');
+
+    const old = newReport({ time: new Date(Date.now() - 400 * DAY_MS).toISOString() });
+    assert.strictEqual(validateReportPayload(old, { zones, maxAgeDays: 365 }).errors.time, 'Time cannot be more than 365 days ago');
+    assert.deepStrictEqual(validateReportPayload(old, { zones }).errors, {});
+});
+
+test('validateReportPayload rejects new reports outside the campus zones', () => {
+    const { errors } = validateReportPayload(newReport({ lat: '23.2' }), { zones });
+    assert.strictEqual(errors.location, 'Location is outside the NCKU campus area');
+});
+
+test('validateReportPayload ignores status and visibility on new reports', () => {
+    const { values, errors } = validateReportPayload(newReport({ urgency: 'Medium', status: 'Resolved', visibility: 'staff' }), { zones });
+    assert.deepStrictEqual(errors, {});
+    assert.strictEqual(values.status, undefined);
+    assert.strictEqual(values.visibility, undefined);
+});
+
+test('partial validation checks only the fields sent and never the location', () => {
+    const existing = { type: 'Road', issueCategory: 'Uneven surface', urgency: 'Low' };
+    const { values, errors } = validateReportPayload({ status: 'Resolved', lat: '0', description: '' }, { partial: true, existing, zones });
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(values, { status: 'Resolved', description: '' });
+
+    const invalid = validateReportPayload({ status: 'Done', visibility: 'private' }, { partial: true, existing });
+    assert.deepStrictEqual(Object.keys(invalid.errors), ['status', 'visibility']);
+});
+
+test('partial validation rejects a type change that leaves the issue category invalid', () => {
+    const existing = { type: 'Road', issueCategory: 'Uneven surface' };
+    const { errors } = validateReportPayload({ type: 'Street Light' }, { partial: true, existing });
+    assert.match(errors.issueCategory, /^Issue must be one of: Not working/);
+
+    const fixed = validateReportPayload({ type: 'Street Light', issueCategory: 'Dim lighting' }, { partial: true, existing });
+    assert.deepStrictEqual(fixed.errors, {});
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCampusZones, findZone, isInsideCampus, expandZoneIds } = require('../lib/helpers');
+
+const square = (west, south, east, north) => ({
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+});
+
+// A campus square with a building and a nested annex inside it
+const region = {
+    type: 'FeatureCollection',
+    features: [
+        { type: 'Feature', properties: { zoneId: 'campus', name: 'Campus' }, geometry: square(120.0, 23.0, 120.1, 23.1) },
+        { type: 'Feature', properties: { zoneId: 'library', name: 'Library', kind: 'building', parent: 'campus' }, geometry: square(120.02, 23.02, 120.04, 23.04) },
+        { type: 'Feature', properties: { zoneId: 'annex', name: 'Annex', kind: 'building', parent: 'library' }, geometry: square(120.03, 23.03, 120.035, 23.035) },
+        { type: 'Feature', properties: { name: 'Marker' }, geometry: { type: 'Point', coordinates: [120.05, 23.05] } }
+    ]
+};
+
+const zones = parseCampusZones(region);
+
+test('parseCampusZones keeps the polygons and fills in defaults', () => {
+    assert.deepStrictEqual(zones.map(zone => zone.id), ['campus', 'library', 'annex']);
+    assert.strictEqual(zones[0].kind, 'campus');
+    assert.strictEqual(zones[0].parent, null);
+    assert.strictEqual(zones[1].parent, 'campus');
+});
+
+test('parseCampusZones rejects regions without polygons or with duplicate ids', () => {
+    assert.throws(() => parseCampusZones({ features: [region.features[3]] }), /No Polygon/);
+    assert.throws(() => parseCampusZones({ features: [region.features[0], region.features[0]] }), /Duplicate zoneId "campus"/);
+});
+
+test('isInsideCampus accepts points inside and on the edge, and rejects points outside', () => {
+    assert.strictEqual(isInsideCampus(zones, 23.05, 120.07), true);
+    assert.strictEqual(isInsideCampus(zones, 23.0, 120.05), true);
+    assert.strictEqual(isInsideCampus(zones, 23.05, 120.2), false);
+    assert.strictEqual(isInsideCampus(zones, 22.99, 120.05), false);
+});
+
+test('isInsideCampus lets every point through while no region is loaded', () => {
+    assert.strictEqual(isInsideCampus(null, 0, 0), true);
+    assert.strictEqual(findZone(null, 23.05, 120.05), null);
+});
+
+test('findZone prefers the building over the campus around it', () => {
+    assert.strictEqual(findZone(zones, 23.05, 120.07).id, 'campus');
+    assert.strictEqual(findZone(zones, 23.025, 120.025).id, 'library');
+    assert.strictEqual(findZone(zones, 23.02, 120.03).id, 'library');
+    assert.strictEqual(findZone(zones, 23.05, 120.2), null);
+});
+
+test('expandZoneIds adds the zones nested inside the requested ones', () => {
+    assert.deepStrictEqual(expandZoneIds(zones, ['campus']).sort(), ['annex', 'campus', 'library']);
+    assert.deepStrictEqual(expandZoneIds(zones, ['library']).sort(), ['annex', 'library']);
+    assert.deepStrictEqual(expandZoneIds(zones, ['annex']), ['annex']);
+    assert.deepStrictEqual(expandZoneIds(null, ['campus']), ['campus']);
+});